@@ -1,4 +1,4 @@
-import { defineConfig } from "@playwright/test";
+import { defineConfig, devices } from "@playwright/test";
 
 export default defineConfig({
   testDir: "./fileStorage/playwright/",
@@ -9,4 +9,14 @@ export default defineConfig({
     headless: false, // Run tests in headless mode
     viewport: { width: 1280, height: 720 },
   },
+  // Browsers and device profiles runs can select with --project.
+  // Keep in sync with AVAILABLE_PROJECTS in utils/runTestsUtils.js.
+  projects: [
+    { name: "chromium", use: { ...devices["Desktop Chrome"] } },
+    { name: "firefox", use: { ...devices["Desktop Firefox"] } },
+    { name: "webkit", use: { ...devices["Desktop Safari"] } },
+    { name: "mobile-chrome", use: { ...devices["Pixel 7"] } },
+    { name: "mobile-safari", use: { ...devices["iPhone 15"] } },
+    { name: "tablet-safari", use: { ...devices["iPad Pro 11"] } },
+  ],
 });
\ No newline at end of file
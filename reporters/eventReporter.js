@@ -0,0 +1,65 @@
+/**
+ * Playwright reporter that prints one machine-readable line per test result.
+ * The server runs it alongside the requested reporter and turns these lines
+ * into live events for the run stream (see runTestsUtils.runPlaywrightTests).
+ */
+
+const path = require("path");
+
+const EVENT_PREFIX = "[pw-event] ";
+
+class EventReporter {
+  /**
+   * Emits an event line on stdout
+   * @param {Object} event - Event payload
+   */
+  emit(event) {
+    process.stdout.write(`${EVENT_PREFIX}${JSON.stringify(event)}\n`);
+  }
+
+  onBegin(config, suite) {
+    this.rootDir = config.rootDir;
+    this.emit({
+      type: "run-begin",
+      totalTests: suite.allTests().length
+    });
+  }
+
+  onTestEnd(test, result) {
+    const project = test.parent.project();
+
+    // Keyed like runTestsUtils.extractSimplifiedResults, so streamed results match those of the JSON report:
+    // the file relative to the root directory and the title of the enclosing describe or, at the top level, the file
+    this.emit({
+      type: "result",
+      title: test.title,
+      suite: test.parent.title,
+      file: path.relative(this.rootDir, test.location.file).split(path.sep).join("/"),
+      line: test.location.line,
+      project: project ? project.name : null,
+      status: result.status,
+      expectedStatus: test.expectedStatus,
+      duration: result.duration,
+      retry: result.retry,
+      // Same shapes as in the JSON report; runTestsUtils turns attachment paths into links
+      attachments: result.attachments.map(({ name, contentType, path: attachmentPath }) => ({ name, contentType, path: attachmentPath })),
+      error: result.error ? { message: result.error.message, stack: result.error.stack } : null
+    });
+  }
+
+  onEnd(result) {
+    this.emit({
+      type: "run-end",
+      status: result.status,
+      duration: result.duration
+    });
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
+
+EventReporter.EVENT_PREFIX = EVENT_PREFIX;
+
+module.exports = EventReporter;
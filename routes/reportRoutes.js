@@ -4,6 +4,10 @@ const fs = require("fs").promises;
 const fileUtils = require("../utils/fileUtils");
 const pathUtils = require("../utils/pathUtils");
 const testUtils = require("../utils/runTestsUtils");
+const testJobUtils = require("../utils/testJobUtils");
+const dashboardUtils = require("../utils/dashboardUtils");
+const badgeUtils = require("../utils/badgeUtils");
+const requestUtils = require("../utils/requestUtils");
 
 const router = express.Router();
 
@@ -13,7 +17,9 @@ const router = express.Router();
 const config = {
   REPORT_DIR: path.join(process.cwd(), "playwright-report"),
   HISTORY_DIR: testUtils.config.REPORT_CATEGORY,
-  DEFAULT_INDEX: "index.html"
+  DEFAULT_INDEX: "index.html",
+  // Static trace viewer that ships with Playwright (the one HTML reports embed)
+  TRACE_VIEWER_DIR: path.join(path.dirname(require.resolve("playwright-core/package.json")), "lib", "vite", "traceViewer")
 };
 
 /**
@@ -29,6 +35,110 @@ async function reportDirectoryExists() {
   }
 }
 
+/**
+ * Creates middleware that serves a static report directory if it exists
+ * @param {Function} resolveDir - Returns the directory to serve for a request (or null)
+ * @param {string} notFoundMessage - Error message when the directory does not exist
+ * @returns {Function} - Express middleware
+ */
+function serveReportDirectory(resolveDir, notFoundMessage) {
+  return async (req, res, next) => {
+    try {
+      const dirPath = resolveDir(req);
+      
+      // Check if the report directory exists
+      if (!dirPath || !await fileUtils.fileExists(dirPath)) {
+        return res.status(404).json({
+          success: false,
+          error: notFoundMessage
+        });
+      }
+      
+      // Relative asset links in the report only resolve below a trailing slash
+      if (req.path === "/" && !req.originalUrl.split("?")[0].endsWith("/")) {
+        const [urlPath, query] = req.originalUrl.split("?");
+        return res.redirect(`${urlPath}/${query ? `?${query}` : ""}`);
+      }
+      
+      // Serve the static files
+      express.static(dirPath)(req, res, next);
+    } catch (error) {
+      console.error("[ERROR] Failed to serve HTML report:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to serve HTML report"
+      });
+    }
+  };
+}
+
+/**
+ * Lists per-run HTML reports with their summaries, newest first
+ * @returns {Promise<Array>} - Run report entries
+ */
+async function listRunReports() {
+  const outputs = await testUtils.listRunOutputs();
+  
+  return outputs.map(output => {
+    const run = testJobUtils.getRun(output.runId);
+    
+    return {
+      runId: output.runId,
+      status: run ? run.status : null,
+      testFile: run ? run.testFile : null,
+      category: run ? run.category : null,
+      timestamp: output.timestamp,
+      date: output.modified,
+      summary: output.summary,
+      htmlReportAvailable: output.hasHtmlReport,
+      reportUrl: output.hasHtmlReport ? `/reports/runs/${output.runId}/` : null,
+      statusUrl: `/api/tests/runs/${output.runId}`
+    };
+  });
+}
+
+/**
+ * Lists the traces captured by a run, one per test attempt
+ * @param {string} runId - Run ID
+ * @returns {Promise<Array|null>} - Traces with their test and artifact URL, or null if the run is unknown
+ */
+async function findRunTraces(runId) {
+  const run = testJobUtils.getRun(runId);
+  let results = run ? run.results : null;
+  
+  if (!results) {
+    const saved = await testUtils.getRunSummary(runId);
+    if (!saved) {
+      return null;
+    }
+    results = saved.results;
+  }
+  
+  return (results || []).flatMap(result => (result.attachments || [])
+    .filter(attachment => attachment.name === "trace" && attachment.url)
+    .map(attachment => ({
+      title: result.title,
+      suite: result.suite,
+      file: result.file,
+      project: result.project || null,
+      retry: result.retry,
+      status: result.status,
+      traceUrl: attachment.url
+    })));
+}
+
+/**
+ * Builds the trace viewer URL that opens a stored trace
+ * @param {Object} req - Express request (for the server origin)
+ * @param {string} traceUrl - Artifact URL of the trace.zip
+ * @returns {string} - Viewer URL
+ */
+function getTraceViewerUrl(req, traceUrl) {
+  // The viewer fetches the trace from its service worker, which needs an absolute URL
+  const absoluteTraceUrl = `${req.protocol}://${req.get("host")}${traceUrl}`;
+  return `/reports/trace-viewer/${config.DEFAULT_INDEX}?trace=${encodeURIComponent(absoluteTraceUrl)}`;
+}
+
 /**
  * Middleware to log report access
  */
@@ -39,7 +149,7 @@ router.use((req, res, next) => {
 
 /**
  * GET /reports
- * Show available reports or redirect to latest report
+ * Show available reports (including per-run HTML reports) or redirect to latest report
  */
 router.get("/", async (req, res) => {
   try {
@@ -77,11 +187,15 @@ router.get("/", async (req, res) => {
     // Check if HTML report directory exists
     const htmlReportExists = await reportDirectoryExists();
     
+    // Per-run reports
+    const runs = await listRunReports();
+    
     res.json({
       success: true,
       htmlReportAvailable: htmlReportExists,
       htmlReportPath: htmlReportExists ? `/reports/playwright-report/${config.DEFAULT_INDEX}` : null,
       latestResults: latestResults.success ? latestResults.results : null,
+      runs,
       reports: reportsResult.files.map(file => ({
         name: file.fileName,
         path: `/files/file?category=${config.HISTORY_DIR}&fileName=${file.fileName}`,
@@ -148,29 +262,157 @@ router.get("/html-status", async (req, res) => {
   }
 });
 
+/**
+ * GET /reports/dashboard
+ * Test trend dashboard (pass rate, duration, top failing and flaky tests) from the run history.
+ * The page is self-contained, so it also works without internet access.
+ * Query: runs (window), category, format=json for the data only
+ */
+router.get("/dashboard", async (req, res) => {
+  try {
+    const data = await dashboardUtils.getDashboardData({
+      runs: req.query.runs,
+      category: req.query.category
+    });
+
+    if (req.query.format === "json") {
+      return res.json({ success: true, ...data });
+    }
+
+    res.type("html").send(dashboardUtils.renderDashboard(data));
+  } catch (error) {
+    console.error("[ERROR] Failed to render test dashboard:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to render test dashboard"
+    });
+  }
+});
+
+/**
+ * GET /reports/badge/:category.svg
+ * SVG status badge of the latest finished run of a category or schedule (ID or name), for embedding in wikis.
+ * Names without runs get a grey "no runs" badge rather than an error, so embeds don't break.
+ * Query: label (text of the left side)
+ */
+router.get("/badge/:category.svg", async (req, res) => {
+  try {
+    const badgeStatus = await badgeUtils.getBadgeStatus(req.params.category);
+
+    res.set("Cache-Control", `public, max-age=${badgeUtils.config.MAX_AGE}`);
+    if (badgeStatus.run && badgeStatus.run.finishedAt) {
+      res.set("Last-Modified", new Date(badgeStatus.run.finishedAt).toUTCString());
+    }
+
+    res.type("image/svg+xml").send(badgeUtils.renderBadge(badgeStatus, { label: req.query.label }));
+  } catch (error) {
+    console.error("[ERROR] Failed to render status badge:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to render status badge"
+    });
+  }
+});
+
 /**
  * Serve the static Playwright HTML report if it exists
  */
-router.use("/playwright-report", async (req, res, next) => {
+router.use("/playwright-report", serveReportDirectory(
+  () => config.REPORT_DIR,
+  "Playwright HTML report not found. Run tests with the HTML reporter first."
+));
+
+/**
+ * Serve the Playwright trace viewer's static assets
+ */
+router.use("/trace-viewer", serveReportDirectory(
+  () => config.TRACE_VIEWER_DIR,
+  "Playwright trace viewer assets not found. Reinstall the playwright package."
+));
+
+/**
+ * GET /reports/trace?run=:id&test=...
+ * Open a stored trace of a run in the trace viewer
+ * Query parameters:
+ * - run: Run ID (required)
+ * - test: Test title, or "suite › title" (optional when the run has a single trace)
+ * - project: Playwright project of the test (optional)
+ * Redirects to the viewer when one trace matches (the last attempt if the test was retried),
+ * otherwise lists the matching traces with their viewer URLs.
+ */
+router.get("/trace", async (req, res) => {
   try {
-    // Check if the report directory exists
-    if (await reportDirectoryExists()) {
-      // Serve the static files
-      express.static(config.REPORT_DIR)(req, res, next);
-    } else {
-      // If not, return a 404
-      res.status(404).json({
+    const invalidParam = requestUtils.validateSingleValues(req.query, ["run", "test", "project"]);
+    if (invalidParam) {
+      return res.status(invalidParam.code).json({
+        success: false,
+        error: invalidParam.error
+      });
+    }
+    
+    if (!req.query.run) {
+      return res.status(400).json({
+        success: false,
+        error: "The 'run' query parameter is required"
+      });
+    }
+    
+    const traces = await findRunTraces(req.query.run);
+    if (!traces) {
+      return res.status(404).json({
+        success: false,
+        error: `Test run not found: ${req.query.run}`
+      });
+    }
+    
+    const test = (req.query.test || "").toLowerCase();
+    const matches = traces.filter(trace => {
+      if (req.query.project && trace.project !== req.query.project) return false;
+      if (test && trace.title.toLowerCase() !== test && `${trace.suite} › ${trace.title}`.toLowerCase() !== test) return false;
+      return true;
+    });
+    
+    if (matches.length === 0) {
+      return res.status(404).json({
         success: false,
-        error: "Playwright HTML report not found. Run tests with the HTML reporter first."
+        error: traces.length
+          ? `No trace found for test: ${req.query.test}`
+          : "This run has no traces. Run it with the trace option (e.g. trace=retain-on-failure)."
       });
     }
+    
+    // Retries of the same test open the last attempt
+    const tests = new Set(matches.map(trace => testUtils.getTestKey(trace)));
+    if (tests.size === 1) {
+      const lastAttempt = matches.reduce((last, trace) => (trace.retry >= last.retry ? trace : last));
+      return res.redirect(getTraceViewerUrl(req, lastAttempt.traceUrl));
+    }
+    
+    res.json({
+      success: true,
+      runId: req.query.run,
+      message: "Several traces match. Open one of the viewer URLs or narrow the 'test' parameter.",
+      traces: matches.map(trace => ({ ...trace, viewerUrl: getTraceViewerUrl(req, trace.traceUrl) }))
+    });
   } catch (error) {
-    console.error("[ERROR] Failed to serve HTML report:", error);
+    console.error("[ERROR] Failed to open trace:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to serve HTML report"
+      error: "Failed to open trace"
     });
   }
 });
 
+/**
+ * GET /reports/runs/:id/
+ * Serve the HTML report of a single run
+ */
+router.use("/runs/:id", serveReportDirectory(
+  (req) => {
+    const outputDir = testUtils.getRunOutputDir(req.params.id);
+    return outputDir ? path.join(outputDir, testUtils.config.RUN_OUTPUT.HTML_REPORT) : null;
+  },
+  "HTML report not found for this run. It may still be running or have been pruned."
+));
+
 module.exports = router;
\ No newline at end of file
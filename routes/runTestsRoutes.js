@@ -1,8 +1,16 @@
 const express = require("express");
 const multer = require("multer");
 const testUtils = require("../utils/runTestsUtils");
+const testJobUtils = require("../utils/testJobUtils");
+const historyUtils = require("../utils/historyUtils");
+const flakyUtils = require("../utils/flakyUtils");
+const compareUtils = require("../utils/compareUtils");
+const exportUtils = require("../utils/exportUtils");
+const quarantineUtils = require("../utils/quarantineUtils");
+const envProfileUtils = require("../utils/envProfileUtils");
 const fileUtils = require("../utils/fileUtils");
 const pathUtils = require("../utils/pathUtils");
+const requestUtils = require("../utils/requestUtils");
 const path = require("path");
 const logger = require("../utils/logUtils");
 const { log } = require("console");
@@ -13,41 +21,138 @@ const router = express.Router();
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit for test files
+    fileSize: 5 * 1024 * 1024, // 5MB limit for test files
+    files: 50
   },
   fileFilter: (req, file, cb) => {
-    // Only accept JavaScript and TypeScript files
-    const allowedExtensions = ['.js', '.ts', '.mjs', '.cjs'];
+    // Specs must be JavaScript or TypeScript; fixtures may also be data files
+    const allowedExtensions = file.fieldname === "fixtures"
+      ? ['.js', '.ts', '.mjs', '.cjs', '.jsx', '.tsx', '.json', '.csv', '.txt', '.html', '.png', '.jpg', '.jpeg']
+      : ['.js', '.ts', '.mjs', '.cjs', '.jsx', '.tsx'];
     const ext = path.extname(file.originalname).toLowerCase();
     
     if (allowedExtensions.includes(ext)) {
       return cb(null, true);
     }
     
-    cb(new Error(`Only JavaScript and TypeScript files are allowed. Got: ${ext}`));
+    const error = new Error(file.fieldname === "fixtures"
+      ? `Fixture file type not allowed: ${file.originalname}`
+      : `Only JavaScript and TypeScript spec files are allowed. Got: ${ext}`);
+    error.code = "INVALID_FILE_TYPE";
+    cb(error);
   }
 });
 
+// Spec files go in "file" or "files", fixtures and helper modules in "fixtures"
+const uploadSpecFiles = upload.fields([
+  { name: "file" },
+  { name: "files" },
+  { name: "fixtures" }
+]);
+
+/**
+ * Parses a multipart upload, answering upload errors with a 400 JSON response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function handleSpecUpload(req, res, next) {
+  uploadSpecFiles(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Upload failed: ${error.message}`
+      });
+    }
+    
+    next();
+  });
+}
+
 /**
  * POST /tests
- * Upload a test file and run Playwright tests --upload.single("file")
+ * Queue a Playwright run for a spec file
+ * Either upload spec files (multipart "file"/"files", plus optional "fixtures")
+ * or name an existing spec with query "testFile".
+ * Uploads run in an isolated temp workspace that is discarded after the run unless "keep" is true.
+ * Responds with 202 and a run ID; poll GET /tests/runs/:id for the outcome
+ * Runs start in priority order (query "priority", higher first) as slots free up.
  */
-router.post("/", async (req, res) => {
+router.post("/", handleSpecUpload, async (req, res) => {
   try {
-    const testOptions = {
-      reporter: req.query.reporter || "json",
-      project: req.query.project,
-      timeout: req.query.timeout ? parseInt(req.query.timeout, 10) : undefined,
-      headed: req.query.headed === "true",
-      debug: req.query.debug === "true",
-      testName: req.query.testName,
-      pathCategory: req.query.category || "playwright"
-    };
+    // Multipart form fields can carry the same parameters as the query
+    const params = { ...req.query, ...(req.body || {}) };
+    const runOptions = await testUtils.parseRunOptions(params);
+    if (runOptions.error) {
+      return res.status(runOptions.code).json({
+        success: false,
+        error: runOptions.error
+      });
+    }
+    const testOptions = { ...runOptions.options, pathCategory: params.category || "playwright" };
+    
+    const uploadedFiles = req.files || {};
+    const specUploads = [...(uploadedFiles.file || []), ...(uploadedFiles.files || [])];
+    const fixtureUploads = uploadedFiles.fixtures || [];
+    
+    if (specUploads.length > 0) {
+      const priority = testJobUtils.parsePriority(params.priority);
+      if (Number.isNaN(priority)) {
+        return res.status(400).json({
+          success: false,
+          error: "Priority must be an integer"
+        });
+      }
+      
+      const workspace = await testUtils.createTestWorkspace(specUploads, fixtureUploads);
+      if (workspace.error) {
+        return res.status(workspace.code).json({
+          success: false,
+          error: workspace.error
+        });
+      }
+      
+      logger.info(`Playwright Run Uploaded Specs: ${workspace.specFiles.join(", ")} in workspace ${workspace.workspaceId}`);
+      
+      // Only the uploaded specs are tests; fixtures and helpers are just staged beside them
+      const { pathCategory, ...uploadOptions } = testOptions;
+      const run = testJobUtils.createRun({
+        type: "upload",
+        target: workspace.workspaceDir,
+        testFile: workspace.specFiles.join(", "),
+        options: {
+          ...uploadOptions,
+          testDir: workspace.workspaceDir,
+          testMatch: workspace.specFiles
+        },
+        priority,
+        label: params.label,
+        triggeredBy: requestUtils.getRequester(req, params.triggeredBy),
+        workspace: {
+          id: workspace.workspaceId,
+          path: pathUtils.getRelativePath(workspace.workspaceDir),
+          keep: params.keep === "true" || params.keep === true,
+          specFiles: workspace.specFiles,
+          fixtureFiles: workspace.fixtureFiles
+        }
+      });
+      
+      return res.status(202).json({
+        success: true,
+        message: "Test run queued",
+        runId: run.id,
+        status: run.status,
+        priority: run.priority,
+        queuePosition: testJobUtils.getQueuePosition(run.id),
+        statusUrl: `/api/tests/runs/${run.id}`,
+        workspace: run.workspace
+      });
+    }
     
     // Handle specified test file path
-    if (req.query.testFile) {
+    if (params.testFile) {
       // Check file extension
-      const fileExt = path.extname(req.query.testFile).toLowerCase();
+      const fileExt = path.extname(params.testFile).toLowerCase();
       const allowedExtensions = ['.js', '.ts', '.mjs', '.cjs', '.jsx', '.tsx'];
       
       if (!allowedExtensions.includes(fileExt)) {
@@ -57,51 +162,63 @@ router.post("/", async (req, res) => {
         });
       }
 
-      logger.info(`Playwright Run Specified Spec File: ${req.query.testFile}`);
-      const testFilePath = pathUtils.getSafeFilePath(testOptions.pathCategory, req.query.testFile);
+      if (testOptions.selection && testOptions.selection.files) {
+        return res.status(400).json({
+          success: false,
+          error: "File globs select specs in a directory; they cannot be combined with testFile"
+        });
+      }
+      
+      logger.info(`Playwright Run Specified Spec File: ${params.testFile}`);
+      const testFilePath = pathUtils.getSafeFilePath(testOptions.pathCategory, params.testFile);
       
       logger.info(`Playwright Run Specified Spec: File Path= ${testFilePath}`);
 
       if (!testFilePath) {
         return res.status(400).json({
           success: false,
-          error: `Invalid test file path: ${req.query.testFile}`
+          error: `Invalid test file path: ${params.testFile}`
         });
       }
       
       if (!await fileUtils.fileExists(testFilePath)) {
         return res.status(404).json({
           success: false,
-          error: `Test file not found: ${req.query.testFile}`
+          error: `Test file not found: ${params.testFile}`
         });
       }
       
       logger.info(`Playwright Run Specified Spec: File Found= ${testFilePath}`);
-      logger.info(`Playwright attempting to run spec: Spec path= ${testFilePath}`);
-      
-      const testResults = await testUtils.runPlaywrightTests(
-        testFilePath,
-        testOptions
-      );
-
-      // Prepare report URL for HTML reporter
-      let reportUrl = null;
-      if (testOptions.reporter === "html") {
-        logger.info('Preparing report URL for HTML reporter');
-        reportUrl = `/reports/playwright-report/index.html`;
+      
+      const priority = testJobUtils.parsePriority(params.priority);
+      if (Number.isNaN(priority)) {
+        return res.status(400).json({
+          success: false,
+          error: "Priority must be an integer"
+        });
       }
       
-      // Return the test results via JSON
-      res.json({
-        testFile: req.query.testFile,
-        success: testResults.success,
-        message: testResults.success
-          ? "Tests completed successfully"
-          : "Tests completed with failures",
-        results: testResults.results,
-        summary: testResults.summary,
-        reportUrl,
-        fullReport: req.query.includeFullReport === "true" ? testResults.fullReport : undefined
+      // Queue the run and respond immediately with its ID
+      const run = testJobUtils.createRun({
+        type: "spec",
+        target: testFilePath,
+        testFile: params.testFile,
+        category: testOptions.pathCategory,
+        options: testOptions,
+        priority,
+        label: params.label,
+        triggeredBy: requestUtils.getRequester(req, params.triggeredBy)
+      });
+      
+      res.status(202).json({
+        success: true,
+        message: "Test run queued",
+        runId: run.id,
+        status: run.status,
+        priority: run.priority,
+        queuePosition: testJobUtils.getQueuePosition(run.id),
+        statusUrl: `/api/tests/runs/${run.id}`,
+        testFile: params.testFile
       });
     } else {
       return res.status(400).json({
@@ -149,14 +266,12 @@ router.get("/results", async (req, res) => {
 
 /**
  * POST /run-tests/all
- * Run all tests in a directory
+ * Queue a run of all tests in a directory, optionally narrowed by "files" globs
  */
 router.post("/all", async (req, res) => {
   try {
     const category = req.body.category || testUtils.config.SCRAPED_TESTS;
-    const pattern = req.body.pattern || "**/*.spec.js";
     
-    // Get all test files matching the pattern
     const categoryPath = pathUtils.getSafeCategoryPath(category);
     if (!categoryPath) {
       return res.status(400).json({
@@ -165,41 +280,65 @@ router.post("/all", async (req, res) => {
       });
     }
     
-    // For simplicity, we're just running the entire test directory with Playwright's built-in discovery
-    const testOptions = {
-      reporter: req.body.reporter || "json",
-      project: req.body.project,
-      timeout: req.body.timeout ? parseInt(req.body.timeout, 10) : undefined,
-      headed: req.body.headed === "true",
-      debug: req.body.debug === "true",
-      testName: req.body.testName
-    };
+    if (!await fileUtils.fileExists(categoryPath)) {
+      return res.status(404).json({
+        success: false,
+        error: `Category not found: ${category}`
+      });
+    }
     
-    // Build a dummy test file path that actually targets the whole directory
-    const testPath = path.join(categoryPath, pattern);
+    // Playwright discovers the specs of the directory; "pattern" is the older name of a "files" glob
+    const runSource = req.body.pattern && req.body.files === undefined ? { ...req.body, files: req.body.pattern } : req.body;
+    const runOptions = await testUtils.parseRunOptions(runSource);
+    if (runOptions.error) {
+      return res.status(runOptions.code).json({
+        success: false,
+        error: runOptions.error
+      });
+    }
+    const testOptions = runOptions.options;
+    const fileGlobs = testOptions.selection && testOptions.selection.files ? testOptions.selection.files.join(",") : null;
     
-    // Run the tests
-    const testResults = await testUtils.runPlaywrightTests(
-      testPath,
-      testOptions
-    );
+    const priority = testJobUtils.parsePriority(req.body.priority);
+    if (Number.isNaN(priority)) {
+      return res.status(400).json({
+        success: false,
+        error: "Priority must be an integer"
+      });
+    }
     
-    // Prepare report URL for HTML reporter
-    let reportUrl = null;
-    if (testOptions.reporter === "html") {
-      reportUrl = `/reports/playwright-report/index.html`;
+    const shards = req.body.shards === undefined ? 1 : Number(req.body.shards);
+    if (!Number.isInteger(shards) || shards < 1 || shards > testJobUtils.config.MAX_SHARDS) {
+      return res.status(400).json({
+        success: false,
+        error: `Shards must be an integer between 1 and ${testJobUtils.config.MAX_SHARDS}`
+      });
     }
     
-    res.json({
-      success: testResults.success,
-      message: testResults.success
-        ? "Tests completed successfully"
-        : "Tests completed with failures",
-      results: testResults.results,
-      summary: testResults.summary,
-      reportUrl,
-      testPattern: pattern,
-      category
+    // Target the whole category directory and let Playwright discover the specs
+    const run = testJobUtils.createRun({
+      type: "all",
+      target: categoryPath,
+      category,
+      testPattern: fileGlobs,
+      options: testOptions,
+      priority,
+      label: req.body.label,
+      triggeredBy: requestUtils.getRequester(req, req.body.triggeredBy),
+      shards
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: "Test run queued",
+      runId: run.id,
+      status: run.status,
+      priority: run.priority,
+      queuePosition: testJobUtils.getQueuePosition(run.id),
+      statusUrl: `/api/tests/runs/${run.id}`,
+      testPattern: fileGlobs,
+      category,
+      shards: run.shards || undefined
     });
   } catch (error) {
     console.error("[ERROR] Failed to run all tests:", error);
@@ -210,4 +349,756 @@ router.post("/all", async (req, res) => {
   }
 });
 
+/**
+ * GET /tests/list
+ * Discover the tests of a category (or one spec in it) without running them
+ * Returns a tree of files, describe blocks and tests with line numbers and tags
+ */
+router.get("/list", async (req, res) => {
+  try {
+    const invalidParam = requestUtils.validateSingleValues(req.query, ["category", "spec"]);
+    if (invalidParam) {
+      return res.status(invalidParam.code).json({
+        success: false,
+        error: invalidParam.error
+      });
+    }
+    
+    const category = req.query.category || testUtils.config.SCRAPED_TESTS;
+    const categoryPath = pathUtils.getSafeCategoryPath(category);
+    
+    if (!categoryPath) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid category path: ${category}`
+      });
+    }
+    
+    if (!await fileUtils.fileExists(categoryPath)) {
+      return res.status(404).json({
+        success: false,
+        error: `Category not found: ${category}`
+      });
+    }
+    
+    if (req.query.spec) {
+      const specPath = pathUtils.getSafeFilePath(category, req.query.spec);
+      
+      if (!specPath) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid spec path: ${req.query.spec}`
+        });
+      }
+      
+      if (!await fileUtils.fileExists(specPath)) {
+        return res.status(404).json({
+          success: false,
+          error: `Spec file not found: ${req.query.spec}`
+        });
+      }
+    }
+    
+    const result = await testUtils.listTests(categoryPath, {
+      spec: req.query.spec,
+      projects: testUtils.parseProjects(req.query)
+    });
+    
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error,
+        details: result.details
+      });
+    }
+    
+    res.json({
+      ...result,
+      category,
+      spec: req.query.spec || null
+    });
+  } catch (error) {
+    logger.error("Failed to list tests", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list tests"
+    });
+  }
+});
+
+/**
+ * GET /tests/history
+ * Query the persistent run history, newest first
+ * Query parameters:
+ * - from, to: Date range (ISO 8601) on the run start time
+ * - status: Filter by run status
+ * - spec: Filter by spec file or pattern (substring match)
+ * - project: Only runs that covered this Playwright project
+ * - category: Filter by test category
+ * - label: Filter by run label
+ * - triggeredBy: Filter by who triggered the run
+ * - parentRunId: Only runs derived from this run (e.g. re-runs of its failures)
+ * - scheduleId: Only runs created by this schedule
+ * - clusterId: Only runs with failures of this error signature (see failureClusters)
+ * - page, pageSize: Pagination (default: page 1, 20 per page)
+ */
+router.get("/history", async (req, res) => {
+  try {
+    const result = await historyUtils.queryHistory(req.query);
+    
+    if (!result.success) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    logger.error("Failed to query test run history", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to query test run history"
+    });
+  }
+});
+
+/**
+ * GET /tests/flaky
+ * Rank tests by how often they flip between passing and failing across recent runs
+ * Query parameters:
+ * - runs: Number of most recent finished runs to analyze (default FLAKY_WINDOW)
+ * - threshold: Flip rate (0-1) at which a test counts as known flaky (default FLAKY_THRESHOLD)
+ * - minRuns: Minimum number of runs a test must appear in to be ranked (default 3)
+ * - category: Only analyze runs of this category
+ * - project: Only analyze results of this Playwright project
+ */
+router.get("/flaky", async (req, res) => {
+  try {
+    const report = await flakyUtils.analyzeFlakiness(req.query);
+    
+    if (report.error) {
+      return res.status(report.code || 500).json({
+        success: false,
+        error: report.error
+      });
+    }
+    
+    res.json(report);
+  } catch (error) {
+    logger.error("Failed to analyze flaky tests", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to analyze flaky tests"
+    });
+  }
+});
+
+/**
+ * GET /tests/compare
+ * Compare the final results of two finished runs, e.g. before and after a deploy
+ * Query parameters:
+ * - base: Run ID to compare against (required)
+ * - head: Run ID to compare (required)
+ * - durationThreshold: Relative slowdown that counts as a duration regression (default: 0.5 = 50%)
+ * - minDurationDelta: Minimum slowdown in milliseconds for a duration regression (default: 100)
+ * - project: Only compare results of this Playwright project
+ */
+router.get("/compare", async (req, res) => {
+  try {
+    const result = await compareUtils.compareRuns(req.query.base, req.query.head, req.query);
+    
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    logger.error("Failed to compare test runs", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to compare test runs"
+    });
+  }
+});
+
+/**
+ * GET /tests/quarantine
+ * List quarantined tests
+ * Query parameters:
+ * - includeExpired: Also list entries whose expiry has passed (default: false)
+ */
+router.get("/quarantine", async (req, res) => {
+  try {
+    const entries = await quarantineUtils.listQuarantine({
+      includeExpired: req.query.includeExpired === "true"
+    });
+    
+    res.json({
+      success: true,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    logger.error("Failed to list quarantined tests", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list quarantined tests"
+    });
+  }
+});
+
+/**
+ * POST /tests/quarantine
+ * Quarantine a test so runs exclude it (updates the entry if the test is already quarantined)
+ * Body parameters:
+ * - specFile: Spec file path relative to the Playwright test directory (required)
+ * - title: Test title (required)
+ * - reason: Why the test is quarantined (required)
+ * - expiresAt: ISO 8601 date after which the test runs again (optional)
+ */
+router.post("/quarantine", async (req, res) => {
+  try {
+    const { specFile, title, reason, expiresAt } = req.body || {};
+    const result = await quarantineUtils.addToQuarantine({
+      specFile,
+      title,
+      reason,
+      expiresAt,
+      createdBy: requestUtils.getRequester(req, (req.body || {}).triggeredBy)
+    });
+    
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? "Test quarantined" : "Quarantine entry updated",
+      entry: result.entry
+    });
+  } catch (error) {
+    logger.error("Failed to quarantine test", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to quarantine test"
+    });
+  }
+});
+
+/**
+ * DELETE /tests/quarantine/:id?
+ * Release a test from quarantine, by entry ID or by the specFile and title query parameters
+ */
+router.delete("/quarantine/:id?", async (req, res) => {
+  try {
+    const result = await quarantineUtils.removeFromQuarantine({
+      id: req.params.id,
+      specFile: req.query.specFile,
+      title: req.query.title
+    });
+    
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: "Test released from quarantine",
+      entry: result.entry
+    });
+  } catch (error) {
+    logger.error("Failed to release test from quarantine", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to release test from quarantine"
+    });
+  }
+});
+
+/**
+ * GET /tests/env-profiles
+ * List the environment profiles runs can select; secret values are masked
+ */
+router.get("/env-profiles", async (req, res) => {
+  try {
+    const profiles = await envProfileUtils.listProfiles();
+    
+    res.json({
+      success: true,
+      count: profiles.length,
+      profiles
+    });
+  } catch (error) {
+    logger.error("Failed to list environment profiles", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list environment profiles"
+    });
+  }
+});
+
+/**
+ * GET /tests/env-profiles/:name
+ * Get an environment profile; secret values are masked
+ */
+router.get("/env-profiles/:name", async (req, res) => {
+  try {
+    const result = await envProfileUtils.getProfile(req.params.name);
+    
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      profile: result.profile
+    });
+  } catch (error) {
+    logger.error("Failed to get environment profile", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to get environment profile"
+    });
+  }
+});
+
+/**
+ * PUT /tests/env-profiles/:name
+ * Create or update an environment profile
+ * Body: { description, variables: { NAME: value }, secrets: { NAME: value } }; null removes a name
+ */
+router.put("/env-profiles/:name", async (req, res) => {
+  try {
+    const result = await envProfileUtils.saveProfile(req.params.name, {
+      description: req.body.description,
+      variables: req.body.variables,
+      secrets: req.body.secrets
+    });
+    
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? "Environment profile created" : "Environment profile updated",
+      profile: result.profile
+    });
+  } catch (error) {
+    logger.error("Failed to save environment profile", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to save environment profile"
+    });
+  }
+});
+
+/**
+ * DELETE /tests/env-profiles/:name
+ * Delete an environment profile
+ */
+router.delete("/env-profiles/:name", async (req, res) => {
+  try {
+    const result = await envProfileUtils.deleteProfile(req.params.name);
+    
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: "Environment profile deleted",
+      name: result.name
+    });
+  } catch (error) {
+    logger.error("Failed to delete environment profile", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete environment profile"
+    });
+  }
+});
+
+/**
+ * DELETE /tests/workspaces/:id
+ * Discard the workspace of an upload run that was kept with "keep=true"
+ */
+router.delete("/workspaces/:id", async (req, res) => {
+  try {
+    const result = await testJobUtils.removeWorkspace(req.params.id);
+    
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: "Workspace removed",
+      workspaceId: result.workspaceId
+    });
+  } catch (error) {
+    logger.error("Failed to remove workspace", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove workspace"
+    });
+  }
+});
+
+/**
+ * GET /tests/runs
+ * List test runs, newest first
+ * Query parameters:
+ * - status: Filter by run status (queued, running, passed, failed, error, cancelled)
+ * - limit: Limit number of runs returned
+ */
+router.get("/runs", (req, res) => {
+  try {
+    const runs = testJobUtils.listRuns({
+      status: req.query.status,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+    });
+    
+    res.json({
+      success: true,
+      count: runs.length,
+      queue: testJobUtils.getQueueStats(),
+      runs: runs.map(run => testJobUtils.toRunView(run))
+    });
+  } catch (error) {
+    logger.error("Failed to list test runs", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list test runs"
+    });
+  }
+});
+
+/**
+ * GET /tests/runs/:id
+ * Get the state, timings and summary of a test run
+ * Runs no longer held in memory are served from the run history.
+ * Query parameters:
+ * - includeResults: Include simplified per-test results (default: true)
+ * - includeFullReport: Include the full Playwright JSON report (default: false)
+ */
+router.get("/runs/:id", async (req, res) => {
+  try {
+    const run = testJobUtils.getRun(req.params.id);
+    
+    if (!run) {
+      // Fall back to the history store for runs no longer held in memory
+      const entry = await historyUtils.getHistoryEntry(req.params.id);
+      
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: `Test run not found: ${req.params.id}`
+        });
+      }
+      
+      const saved = req.query.includeResults !== "false"
+        ? await testUtils.getRunSummary(entry.runId)
+        : null;
+      
+      return res.json({
+        success: true,
+        run: {
+          ...entry,
+          id: entry.runId,
+          archived: true,
+          results: saved ? saved.results : undefined,
+          quarantined: saved ? saved.quarantined : undefined,
+          failureClusters: saved && saved.failureClusters ? saved.failureClusters : entry.failureClusters
+        }
+      });
+    }
+    
+    res.json({
+      success: true,
+      run: testJobUtils.toRunView(run, {
+        includeResults: req.query.includeResults !== "false",
+        includeFullReport: req.query.includeFullReport === "true"
+      })
+    });
+  } catch (error) {
+    logger.error(`Failed to retrieve test run ${req.params.id}`, error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve test run"
+    });
+  }
+});
+
+/**
+ * DELETE /tests/runs/:id
+ * Cancel a queued or running test run
+ * The Playwright process tree is stopped; partial output and results are kept.
+ */
+router.delete("/runs/:id", (req, res) => {
+  try {
+    const result = testJobUtils.cancelRun(req.params.id);
+    
+    if (!result.success) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: "Test run cancellation requested",
+      runId: result.run.id,
+      status: result.run.status,
+      statusUrl: `/api/tests/runs/${result.run.id}`
+    });
+  } catch (error) {
+    logger.error(`Failed to cancel test run ${req.params.id}`, error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to cancel test run"
+    });
+  }
+});
+
+/**
+ * POST /tests/runs/:id/rerun-failed
+ * Queue a run of only the tests that failed in a finished run
+ * The new run records the original as its parentRunId.
+ * Query or body parameters:
+ * - priority: Queue priority (default: 0)
+ * - label: Label for the new run (default: the original run's label)
+ */
+router.post("/runs/:id/rerun-failed", async (req, res) => {
+  try {
+    const params = { ...req.query, ...(req.body || {}) };
+    
+    const priority = testJobUtils.parsePriority(params.priority);
+    if (Number.isNaN(priority)) {
+      return res.status(400).json({
+        success: false,
+        error: "Priority must be an integer"
+      });
+    }
+    
+    const result = await testJobUtils.rerunFailed(req.params.id, {
+      priority,
+      label: params.label,
+      triggeredBy: requestUtils.getRequester(req, params.triggeredBy)
+    });
+    
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      message: `Re-run of ${result.tests.length} failed test(s) queued`,
+      runId: result.run.id,
+      parentRunId: req.params.id,
+      status: result.run.status,
+      priority: result.run.priority,
+      queuePosition: testJobUtils.getQueuePosition(result.run.id),
+      statusUrl: `/api/tests/runs/${result.run.id}`,
+      tests: result.tests
+    });
+  } catch (error) {
+    logger.error(`Failed to re-run failed tests of run ${req.params.id}`, error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to re-run failed tests"
+    });
+  }
+});
+
+/**
+ * GET /tests/runs/:id/artifacts
+ * List the trace, video and screenshot files captured by a run
+ */
+router.get("/runs/:id/artifacts", async (req, res) => {
+  try {
+    const artifacts = await testUtils.listRunArtifacts(req.params.id);
+    
+    if (!artifacts) {
+      return res.status(404).json({
+        success: false,
+        error: `No output found for test run: ${req.params.id}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      runId: req.params.id,
+      count: artifacts.length,
+      artifacts
+    });
+  } catch (error) {
+    logger.error(`Failed to list artifacts of run ${req.params.id}`, error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list run artifacts"
+    });
+  }
+});
+
+/**
+ * GET /tests/runs/:id/artifacts/*
+ * Download a file from a run's artifacts folder (attachment URLs in the results point here)
+ */
+router.get("/runs/:id/artifacts/*", (req, res) => {
+  const outputDir = testUtils.getRunOutputDir(req.params.id);
+  
+  if (!outputDir) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid run ID: ${req.params.id}`
+    });
+  }
+  
+  // The root option keeps the requested path inside the artifacts folder
+  res.sendFile(req.params[0], {
+    root: path.join(outputDir, testUtils.config.RUN_OUTPUT.ARTIFACTS),
+    dotfiles: "deny"
+  }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status === 403 ? 403 : 404).json({
+        success: false,
+        error: error.status === 403 ? "Access denied" : `Artifact not found: ${req.params[0]}`
+      });
+    }
+  });
+});
+
+/**
+ * GET /tests/runs/:id/export
+ * Export a finished run from its saved JSON report, without re-running it
+ * Query parameters:
+ * - format: junit (JUnit XML), markdown (summary for pull requests) or csv (one row per test) (required)
+ * - download: Send as a file attachment (default: false)
+ */
+router.get("/runs/:id/export", async (req, res) => {
+  try {
+    const result = await exportUtils.exportRun(req.params.id, req.query.format);
+    
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.type(result.contentType);
+    if (req.query.download === "true") {
+      res.attachment(result.fileName);
+    }
+    
+    res.send(result.content);
+  } catch (error) {
+    logger.error(`Failed to export test run ${req.params.id}`, error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to export test run"
+    });
+  }
+});
+
+/**
+ * GET /tests/runs/:id/stream
+ * Stream Playwright output and per-test results of a run via Server-Sent Events
+ * Buffered events are replayed first, so clients can attach mid-run.
+ * The stream closes after the run's "end" event.
+ * Query parameters:
+ * - types: Comma-separated event types to send (status, output, result, run-begin, run-end, end)
+ */
+router.get("/runs/:id/stream", (req, res) => {
+  try {
+    const run = testJobUtils.getRun(req.params.id);
+    
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: `Test run not found: ${req.params.id}`
+      });
+    }
+    
+    const types = req.query.types ? req.query.types.split(",").map(type => type.trim()) : null;
+    
+    // Set up SSE headers
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    
+    // Send an initial connection message
+    res.write(`data: ${JSON.stringify({ type: "connection", message: `Connected to test run ${run.id}`, runId: run.id })}\n\n`);
+    
+    logger.info(`Client connected to test run stream ${run.id}`);
+    
+    let removeListener = null;
+    let ended = false;
+    
+    // Replays buffered events, then forwards live ones
+    removeListener = testJobUtils.subscribeToRun(run.id, (event) => {
+      if (ended) {
+        return;
+      }
+      
+      if (!types || types.includes(event.type) || event.type === "end") {
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+      }
+      
+      // Close the stream once the run is over
+      if (event.type === "end") {
+        ended = true;
+        if (removeListener) {
+          removeListener();
+        }
+        res.end();
+      }
+    });
+    
+    // The run may already have ended during replay
+    if (ended) {
+      removeListener();
+    }
+    
+    // Handle client disconnection
+    req.on("close", () => {
+      removeListener();
+      logger.info(`Client disconnected from test run stream ${run.id}`);
+    });
+  } catch (error) {
+    logger.error(`Failed to stream test run ${req.params.id}`, error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to stream test run"
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,227 @@
+const express = require("express");
+const scheduleUtils = require("../utils/scheduleUtils");
+const testJobUtils = require("../utils/testJobUtils");
+const historyUtils = require("../utils/historyUtils");
+const requestUtils = require("../utils/requestUtils");
+const logger = require("../utils/logUtils");
+
+const router = express.Router();
+
+/**
+ * GET /schedules
+ * List the schedules with their next and last fire times
+ */
+router.get("/", async (req, res) => {
+  try {
+    const schedules = await scheduleUtils.listSchedules();
+
+    res.json({
+      success: true,
+      count: schedules.length,
+      schedules
+    });
+  } catch (error) {
+    logger.error("Failed to list schedules", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list schedules"
+    });
+  }
+});
+
+/**
+ * POST /schedules
+ * Create a schedule that queues test runs at cron times (server local time)
+ * Body parameters:
+ * - name: Display name (required)
+ * - cron: Cron expression, e.g. "0 2 * * 1-5" or "@hourly" (required)
+ * - category: Category to run (default: playwright)
+ * - testFile: Spec file in the category; the whole category runs when not given
+ * - options: Run parameters as accepted by POST /tests/all (browsers, tags, envProfile, baseURL, ...)
+ * - priority, label, shards: As for POST /tests/all
+ * - enabled: Whether the schedule fires (default: true)
+ */
+router.post("/", async (req, res) => {
+  try {
+    const result = await scheduleUtils.createSchedule(req.body || {}, requestUtils.getRequester(req, req.body && req.body.createdBy));
+
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Schedule created",
+      schedule: result.schedule
+    });
+  } catch (error) {
+    logger.error("Failed to create schedule", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create schedule"
+    });
+  }
+});
+
+/**
+ * GET /schedules/:id
+ * Get a schedule
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const result = await scheduleUtils.getSchedule(req.params.id);
+
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      schedule: result.schedule
+    });
+  } catch (error) {
+    logger.error("Failed to get schedule", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to get schedule"
+    });
+  }
+});
+
+/**
+ * PUT /schedules/:id
+ * Update a schedule; fields that are not given keep their value
+ * Body parameters: as for POST /schedules ("options" replaces the run options as a whole)
+ */
+router.put("/:id", async (req, res) => {
+  try {
+    const result = await scheduleUtils.updateSchedule(req.params.id, req.body || {});
+
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Schedule updated",
+      schedule: result.schedule
+    });
+  } catch (error) {
+    logger.error("Failed to update schedule", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update schedule"
+    });
+  }
+});
+
+/**
+ * DELETE /schedules/:id
+ * Delete a schedule; the runs it created stay in the history
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const result = await scheduleUtils.deleteSchedule(req.params.id);
+
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Schedule deleted",
+      schedule: result.schedule
+    });
+  } catch (error) {
+    logger.error("Failed to delete schedule", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete schedule"
+    });
+  }
+});
+
+/**
+ * POST /schedules/:id/run
+ * Queue a run of the schedule now, outside its cron times
+ * Responds with 409 while the schedule's previous run is still queued or running
+ */
+router.post("/:id/run", async (req, res) => {
+  try {
+    const result = await scheduleUtils.triggerSchedule(req.params.id);
+
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const run = result.run;
+    res.status(202).json({
+      success: true,
+      message: "Test run queued",
+      runId: run.id,
+      status: run.status,
+      priority: run.priority,
+      queuePosition: testJobUtils.getQueuePosition(run.id),
+      statusUrl: `/api/tests/runs/${run.id}`,
+      shards: run.shards || undefined
+    });
+  } catch (error) {
+    logger.error("Failed to run schedule", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to run schedule"
+    });
+  }
+});
+
+/**
+ * GET /schedules/:id/runs
+ * Runs the schedule created, newest first (from the persistent run history)
+ * Query parameters: as for GET /tests/history (status, from, to, page, pageSize, ...)
+ */
+router.get("/:id/runs", async (req, res) => {
+  try {
+    const schedule = await scheduleUtils.getSchedule(req.params.id);
+
+    if (schedule.error) {
+      return res.status(schedule.code || 500).json({
+        success: false,
+        error: schedule.error
+      });
+    }
+
+    const result = await historyUtils.queryHistory({ ...req.query, scheduleId: req.params.id });
+
+    if (!result.success) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error("Failed to list schedule runs", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list schedule runs"
+    });
+  }
+});
+
+module.exports = router;
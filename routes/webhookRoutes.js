@@ -0,0 +1,242 @@
+const express = require("express");
+const webhookUtils = require("../utils/webhookUtils");
+const requestUtils = require("../utils/requestUtils");
+const logger = require("../utils/logUtils");
+
+const router = express.Router();
+
+/**
+ * GET /webhooks
+ * List the webhooks notified when runs finish
+ */
+router.get("/", async (req, res) => {
+  try {
+    const webhooks = await webhookUtils.listWebhooks();
+
+    res.json({
+      success: true,
+      count: webhooks.length,
+      webhooks
+    });
+  } catch (error) {
+    logger.error("Failed to list webhooks", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list webhooks"
+    });
+  }
+});
+
+/**
+ * POST /webhooks
+ * Create a webhook that receives a JSON payload (summary, failed tests, report URLs) when a run finishes
+ * Body parameters:
+ * - name: Display name (required)
+ * - url: http or https URL the payload is POSTed to (required)
+ * - onlyOnFailure: Only notify for failed and errored runs (default: false)
+ * - categories: Only notify for runs of these categories (list or comma-separated, default: all)
+ * - enabled: Whether the webhook is notified (default: true)
+ */
+router.post("/", async (req, res) => {
+  try {
+    const result = await webhookUtils.createWebhook(req.body || {}, requestUtils.getRequester(req, req.body && req.body.createdBy));
+
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook created",
+      webhook: result.webhook
+    });
+  } catch (error) {
+    logger.error("Failed to create webhook", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create webhook"
+    });
+  }
+});
+
+/**
+ * GET /webhooks/deliveries
+ * The delivery log of all webhooks, newest first
+ * Query parameters:
+ * - webhookId: Only deliveries to this webhook
+ * - runId: Only deliveries about this run
+ * - status: pending, delivered or failed
+ * - limit: Maximum number of deliveries (default: 50)
+ */
+router.get("/deliveries", async (req, res) => {
+  try {
+    const deliveries = await webhookUtils.listDeliveries(req.query);
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      deliveries
+    });
+  } catch (error) {
+    logger.error("Failed to list webhook deliveries", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list webhook deliveries"
+    });
+  }
+});
+
+/**
+ * GET /webhooks/:id
+ * Get a webhook
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const result = await webhookUtils.getWebhook(req.params.id);
+
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      webhook: result.webhook
+    });
+  } catch (error) {
+    logger.error("Failed to get webhook", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to get webhook"
+    });
+  }
+});
+
+/**
+ * PUT /webhooks/:id
+ * Update a webhook; fields that are not given keep their value
+ * Body parameters: as for POST /webhooks
+ */
+router.put("/:id", async (req, res) => {
+  try {
+    const result = await webhookUtils.updateWebhook(req.params.id, req.body || {});
+
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Webhook updated",
+      webhook: result.webhook
+    });
+  } catch (error) {
+    logger.error("Failed to update webhook", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update webhook"
+    });
+  }
+});
+
+/**
+ * DELETE /webhooks/:id
+ * Delete a webhook; its deliveries stay in the log
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const result = await webhookUtils.deleteWebhook(req.params.id);
+
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Webhook deleted",
+      webhook: result.webhook
+    });
+  } catch (error) {
+    logger.error("Failed to delete webhook", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete webhook"
+    });
+  }
+});
+
+/**
+ * POST /webhooks/:id/test
+ * Send a "ping" payload to a webhook, regardless of its filters, and return the first attempt
+ */
+router.post("/:id/test", async (req, res) => {
+  try {
+    const result = await webhookUtils.sendTestDelivery(req.params.id);
+
+    if (result.error) {
+      return res.status(result.code || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.delivery.status === "delivered"
+        ? "Test delivery succeeded"
+        : `Test delivery failed: ${result.delivery.error}`,
+      delivery: result.delivery
+    });
+  } catch (error) {
+    logger.error("Failed to send test delivery", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to send test delivery"
+    });
+  }
+});
+
+/**
+ * GET /webhooks/:id/deliveries
+ * The delivery log of a webhook, newest first
+ * Query parameters: as for GET /webhooks/deliveries
+ */
+router.get("/:id/deliveries", async (req, res) => {
+  try {
+    const webhook = await webhookUtils.getWebhook(req.params.id);
+
+    if (webhook.error) {
+      return res.status(webhook.code || 500).json({
+        success: false,
+        error: webhook.error
+      });
+    }
+
+    const deliveries = await webhookUtils.listDeliveries({ ...req.query, webhookId: req.params.id });
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      deliveries
+    });
+  } catch (error) {
+    logger.error("Failed to list webhook deliveries", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list webhook deliveries"
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const { PORT, HOST } = require("./utils/properties");
 const logger = require("./utils/logUtils");
 const pathUtils = require("./utils/pathUtils");
 const fileUtils = require("./utils/fileUtils");
+const scheduleUtils = require("./utils/scheduleUtils");
 
 // Import route handlers
 const scrapeRoutes = require("./routes/scrapeRoutes");
@@ -14,6 +15,8 @@ const runTestsRoutes = require("./routes/runTestsRoutes");
 const formatRoutes = require("./routes/formatRoutes");
 const helpRoutes = require("./routes/helpRoutes");
 const logRoutes = require("./routes/logRoutes");
+const scheduleRoutes = require("./routes/scheduleRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
 
 // Create Express app
 const app = express();
@@ -57,6 +60,8 @@ app.use("/api/scrape", scrapeRoutes);
 app.use("/api/files", fileRoutes);
 app.use("/reports", reportRoutes);
 app.use("/api/tests", runTestsRoutes);
+app.use("/api/schedules", scheduleRoutes);
+app.use("/api/webhooks", webhookRoutes);
 app.use("/api/format", formatRoutes);
 app.use("/api/logs", logRoutes);
 app.use("/api/help", helpRoutes);
@@ -115,6 +120,10 @@ const startServer = async () => {
     app.listen(PORT, HOST, () => {
       logger.info(`Server running at http://${HOST}:${PORT}`);
     });
+    
+    // Start firing scheduled test runs
+    const enabledSchedules = await scheduleUtils.startScheduler();
+    logger.info(`Scheduler started with ${enabledSchedules} enabled schedule(s)`);
   } catch (error) {
     logger.error("Failed to start server", error);
     process.exit(1);
@@ -0,0 +1,145 @@
+const runTestsUtils = require("./runTestsUtils");
+const historyUtils = require("./historyUtils");
+const scheduleUtils = require("./scheduleUtils");
+const flakyUtils = require("./flakyUtils");
+const exportUtils = require("./exportUtils");
+
+/**
+ * Configuration for status badges
+ */
+const config = {
+  MAX_AGE: 60, // Seconds a badge may be cached (wikis and proxies re-fetch after this)
+  MAX_LABEL_LENGTH: 40,
+  FINISHED_STATUSES: ["passed", "failed"], // A run still in progress or cancelled says nothing about health
+  // Approximate widths of 11px Verdana, the usual badge font
+  CHAR_WIDTH: 6.5,
+  NARROW_CHAR_WIDTH: 3.5,
+  NARROW_CHARS: /[ .,:;!|'()[\]{}ilIjft1/]/,
+  PADDING: 10,
+  COLORS: { passed: "#4c1", failed: "#e05d44", unknown: "#9f9f9f", label: "#555" }
+};
+
+/**
+ * Estimates the rendered width of badge text
+ * @param {string} text - Text
+ * @returns {number} - Width in pixels
+ */
+function measureText(text) {
+  return Array.from(text)
+    .reduce((width, char) => width + (config.NARROW_CHARS.test(char) ? config.NARROW_CHAR_WIDTH : config.CHAR_WIDTH), 0);
+}
+
+/**
+ * Finds the runs a badge reports on: a schedule (by ID or name) or else a category
+ * @param {string} name - Schedule ID, schedule name or category
+ * @returns {Promise<Object>} - { label, filter } where filter matches the history entries
+ */
+async function resolveBadgeTarget(name) {
+  const schedules = await scheduleUtils.listSchedules();
+  const schedule = schedules.find(entry => entry.id === name) || schedules.find(entry => entry.name === name);
+
+  if (schedule) {
+    return { label: schedule.name, filter: entry => entry.scheduleId === schedule.id };
+  }
+
+  return { label: name, filter: entry => entry.category === name };
+}
+
+/**
+ * Gets the status of the latest finished run of a category or schedule, from its stored summary.
+ * Tests are counted by their final attempt, so a test that passed on retry counts as passed.
+ * @param {string} name - Category, schedule ID or schedule name
+ * @returns {Promise<Object>} - { label, status, passed, failed, passRate, run }, with status "unknown" and run null if nothing ran yet
+ */
+async function getBadgeStatus(name) {
+  const target = await resolveBadgeTarget(name);
+
+  const entries = await historyUtils.loadHistory();
+  const latest = entries
+    .filter(entry => config.FINISHED_STATUSES.includes(entry.status))
+    // Shard results are reported by their merged sharded run
+    .filter(entry => entry.type !== "shard")
+    .filter(target.filter)
+    .pop();
+
+  if (!latest) {
+    return { label: target.label, status: "unknown", passed: 0, failed: 0, passRate: null, run: null };
+  }
+
+  let passed = latest.counts.passed;
+  let failed = latest.counts.failed;
+
+  const saved = await runTestsUtils.getRunSummary(latest.runId);
+  if (saved && Array.isArray(saved.results)) {
+    passed = 0;
+    failed = 0;
+
+    runTestsUtils.getFinalResults(saved.results).forEach(result => {
+      const outcome = flakyUtils.toOutcome(result.status);
+      if (outcome === "pass") passed++;
+      if (outcome === "fail") failed++;
+    });
+  }
+
+  return {
+    label: target.label,
+    status: latest.status,
+    passed,
+    failed,
+    passRate: passed + failed ? passed / (passed + failed) : null,
+    run: {
+      runId: latest.runId,
+      finishedAt: latest.finishedAt,
+      reportUrl: latest.reportUrl
+    }
+  };
+}
+
+/**
+ * Renders a flat status badge
+ * @param {Object} badgeStatus - Status from getBadgeStatus
+ * @param {Object} options - Badge options
+ * @param {string} options.label - Text of the left side (default: the category or schedule name)
+ * @returns {string} - SVG markup
+ */
+function renderBadge(badgeStatus, options = {}) {
+  const label = String(options.label || badgeStatus.label).slice(0, config.MAX_LABEL_LENGTH);
+
+  let message = "no runs";
+  if (badgeStatus.status !== "unknown") {
+    const percent = badgeStatus.passRate === null ? "" : ` ${Math.floor(badgeStatus.passRate * 100)}%`;
+    message = badgeStatus.status === "passed"
+      ? `passing${percent}`
+      : `${badgeStatus.failed} failed${percent}`;
+  }
+
+  const color = config.COLORS[badgeStatus.status] || config.COLORS.unknown;
+  const labelWidth = Math.round(measureText(label) + config.PADDING * 2);
+  const messageWidth = Math.round(measureText(message) + config.PADDING * 2);
+  const width = labelWidth + messageWidth;
+  const title = `${label}: ${message}`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${exportUtils.escapeXml(title)}">
+  <title>${exportUtils.escapeXml(title)}</title>
+  <linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="${config.COLORS.label}"/>
+    <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${exportUtils.escapeXml(label)}</text>
+    <text x="${labelWidth / 2}" y="14">${exportUtils.escapeXml(label)}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${exportUtils.escapeXml(message)}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="14">${exportUtils.escapeXml(message)}</text>
+  </g>
+</svg>
+`;
+}
+
+module.exports = {
+  getBadgeStatus,
+  renderBadge,
+  config
+};
@@ -0,0 +1,205 @@
+const runTestsUtils = require("./runTestsUtils");
+const historyUtils = require("./historyUtils");
+const flakyUtils = require("./flakyUtils");
+
+/**
+ * Configuration for run comparisons
+ */
+const config = {
+  DEFAULT_DURATION_THRESHOLD: 0.5, // A test regressed when it got this much slower (0.5 = 50%)
+  DEFAULT_MIN_DURATION_DELTA: 100, // ...and at least this many milliseconds slower, so fast tests don't add noise
+  MAX_ERROR_LENGTH: 500
+};
+
+/**
+ * Loads the metadata and simplified results of a finished run
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object>} - { entry, results }, or error with HTTP code
+ */
+async function loadRunResults(runId) {
+  const entry = await historyUtils.getHistoryEntry(runId);
+  if (!entry) {
+    return { error: `Test run not found or not finished yet: ${runId}`, code: 404 };
+  }
+
+  const saved = await runTestsUtils.getRunSummary(runId);
+  if (!saved || !Array.isArray(saved.results)) {
+    return { error: `Test run ${runId} has no saved results to compare`, code: 404 };
+  }
+
+  return { entry, results: saved.results };
+}
+
+/**
+ * Parses a non-negative number parameter
+ * @param {string|number|undefined} value - Raw value
+ * @param {number} defaultValue - Value when not given
+ * @returns {number} - Parsed value, or NaN if invalid
+ */
+function parseNonNegative(value, defaultValue) {
+  if (value === undefined || value === "") {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
+}
+
+/**
+ * Describes one side of a compared test
+ * @param {Object|undefined} result - Final attempt of the test in a run
+ * @returns {Object|null} - Status, duration and retry, or null if the test did not run
+ */
+function describeAttempt(result) {
+  if (!result) {
+    return null;
+  }
+
+  return {
+    status: result.status,
+    duration: result.duration || 0,
+    retry: result.retry || 0
+  };
+}
+
+/**
+ * Describes a run for the comparison header
+ * @param {Object} entry - History entry of the run
+ * @returns {Object} - Run metadata
+ */
+function describeRun(entry) {
+  return {
+    runId: entry.runId,
+    status: entry.status,
+    type: entry.type,
+    specFile: entry.specFile,
+    category: entry.category,
+    projects: entry.projects,
+    label: entry.label,
+    startedAt: entry.startedAt,
+    counts: entry.counts
+  };
+}
+
+/**
+ * Compares the final results of two runs: new failures, fixes, tests still failing,
+ * tests added or removed, and tests whose duration regressed
+ * @param {string} baseId - Run to compare against (e.g. before a deploy)
+ * @param {string} headId - Run to compare (e.g. after a deploy)
+ * @param {Object} options - Comparison options
+ * @param {number} options.durationThreshold - Relative slowdown that counts as a regression (default: 0.5)
+ * @param {number} options.minDurationDelta - Minimum slowdown in milliseconds (default: 100)
+ * @param {string} options.project - Only compare results of this Playwright project
+ * @returns {Promise<Object>} - Comparison, or error with HTTP code
+ */
+async function compareRuns(baseId, headId, options = {}) {
+  if (!baseId || !headId) {
+    return { error: "Both 'base' and 'head' run IDs are required", code: 400 };
+  }
+
+  const durationThreshold = parseNonNegative(options.durationThreshold, config.DEFAULT_DURATION_THRESHOLD);
+  const minDurationDelta = parseNonNegative(options.minDurationDelta, config.DEFAULT_MIN_DURATION_DELTA);
+  if (Number.isNaN(durationThreshold) || Number.isNaN(minDurationDelta)) {
+    return { error: "'durationThreshold' and 'minDurationDelta' must be non-negative numbers", code: 400 };
+  }
+
+  const base = await loadRunResults(baseId);
+  if (base.error) {
+    return base;
+  }
+
+  const head = await loadRunResults(headId);
+  if (head.error) {
+    return head;
+  }
+
+  const filterProject = (results) => new Map(Array.from(results)
+    .filter(([, result]) => !options.project || result.project === options.project));
+  const baseResults = filterProject(runTestsUtils.getFinalResults(base.results));
+  const headResults = filterProject(runTestsUtils.getFinalResults(head.results));
+
+  const comparison = {
+    newFailures: [],
+    fixed: [],
+    stillFailing: [],
+    added: [],
+    removed: [],
+    durationRegressions: []
+  };
+  let unchanged = 0;
+
+  const keys = new Set([...baseResults.keys(), ...headResults.keys()]);
+  keys.forEach(key => {
+    const baseResult = baseResults.get(key);
+    const headResult = headResults.get(key);
+    const result = headResult || baseResult;
+    const test = {
+      key,
+      file: result.file,
+      suite: result.suite,
+      title: result.title,
+      project: result.project || null,
+      base: describeAttempt(baseResult),
+      head: describeAttempt(headResult)
+    };
+
+    if (!baseResult) {
+      comparison.added.push({ ...test, error: runTestsUtils.getErrorMessage(headResult, config.MAX_ERROR_LENGTH) });
+      return;
+    }
+
+    if (!headResult) {
+      comparison.removed.push(test);
+      return;
+    }
+
+    // Skipped and interrupted tests say nothing about a change
+    const baseOutcome = flakyUtils.toOutcome(baseResult.status);
+    const headOutcome = flakyUtils.toOutcome(headResult.status);
+
+    if (baseOutcome === "pass" && headOutcome === "fail") {
+      comparison.newFailures.push({ ...test, error: runTestsUtils.getErrorMessage(headResult, config.MAX_ERROR_LENGTH) });
+    } else if (baseOutcome === "fail" && headOutcome === "pass") {
+      comparison.fixed.push(test);
+    } else if (baseOutcome === "fail" && headOutcome === "fail") {
+      comparison.stillFailing.push({ ...test, error: runTestsUtils.getErrorMessage(headResult, config.MAX_ERROR_LENGTH) });
+    } else {
+      unchanged++;
+    }
+
+    if (baseOutcome === "pass" && headOutcome === "pass") {
+      const delta = test.head.duration - test.base.duration;
+      const ratio = test.base.duration > 0 ? delta / test.base.duration : null;
+
+      if (delta >= minDurationDelta && (ratio === null || ratio > durationThreshold)) {
+        comparison.durationRegressions.push({
+          ...test,
+          durationDelta: delta,
+          durationChange: ratio === null ? null : Math.round(ratio * 1000) / 1000
+        });
+      }
+    }
+  });
+
+  comparison.durationRegressions.sort((a, b) => b.durationDelta - a.durationDelta);
+
+  return {
+    success: true,
+    base: describeRun(base.entry),
+    head: describeRun(head.entry),
+    durationThreshold,
+    minDurationDelta,
+    project: options.project || null,
+    counts: {
+      compared: keys.size,
+      unchanged,
+      ...Object.fromEntries(Object.entries(comparison).map(([name, tests]) => [name, tests.length]))
+    },
+    ...comparison
+  };
+}
+
+module.exports = {
+  compareRuns,
+  config
+};
@@ -0,0 +1,193 @@
+/**
+ * Configuration for cron expressions
+ */
+const config = {
+  // Field order of a five-field expression: minute hour day-of-month month day-of-week
+  FIELDS: [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day of month", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+    { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] }
+  ],
+  MACROS: {
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+    "@monthly": "0 0 1 * *",
+    "@weekly": "0 0 * * 0",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@hourly": "0 * * * *"
+  },
+  MAX_SEARCH_YEARS: 5 // Expressions that never match (e.g. 30 February) give up after this
+};
+
+/**
+ * Parses a single value of a cron field
+ * @param {string} value - Number or name
+ * @param {Object} field - Field definition
+ * @returns {number} - Parsed value, or NaN if invalid
+ */
+function parseFieldValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  if (nameIndex !== -1) {
+    return nameIndex + (field.min === 1 ? 1 : 0);
+  }
+
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Parses one field of a cron expression
+ * @param {string} expression - Field expression: "*", values, ranges and names ("1-5", "mon,wed"), each with an optional "/step"
+ * @param {Object} field - Field definition
+ * @returns {Object} - { values: Set, restricted } or { error }
+ */
+function parseField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(",")) {
+    const [range, stepText, extra] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      return { error: `Invalid step in ${field.name} field: ${part}` };
+    }
+
+    let start;
+    let end;
+
+    if (range === "*") {
+      start = field.min;
+      end = field.max;
+    } else {
+      const [from, to, rest] = range.split("-");
+      start = parseFieldValue(from, field);
+      // "5/10" means every 10 starting at 5
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseFieldValue(to, field);
+
+      if (rest !== undefined || Number.isNaN(start) || Number.isNaN(end)) {
+        return { error: `Invalid value in ${field.name} field: ${part}` };
+      }
+    }
+
+    if (start < field.min || end > field.max || start > end) {
+      return { error: `Out of range value in ${field.name} field: ${part} (allowed: ${field.min}-${field.max})` };
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, restricted: expression !== "*" };
+}
+
+/**
+ * Parses a cron expression
+ * @param {string} expression - Five-field expression (minute hour day-of-month month day-of-week) or a macro such as @hourly
+ * @returns {Object} - Parsed schedule, or error
+ */
+function parseCron(expression) {
+  if (typeof expression !== "string" || !expression.trim()) {
+    return { error: "A cron expression is required" };
+  }
+
+  const normalized = config.MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== config.FIELDS.length) {
+    return { error: `A cron expression needs ${config.FIELDS.length} fields (minute hour day-of-month month day-of-week), got ${parts.length}` };
+  }
+
+  const fields = [];
+  for (let i = 0; i < parts.length; i++) {
+    const field = parseField(parts[i], config.FIELDS[i]);
+    if (field.error) {
+      return { error: field.error };
+    }
+    fields.push(field);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields;
+
+  // Sunday can be written as 0 or 7
+  if (daysOfWeek.values.has(7)) {
+    daysOfWeek.values.add(0);
+  }
+
+  return { expression: normalized, minutes, hours, daysOfMonth, months, daysOfWeek };
+}
+
+/**
+ * Checks whether a cron schedule matches the day of a date.
+ * Like cron, a restricted day of month and day of week match when either does.
+ * @param {Object} cron - Parsed schedule
+ * @param {Date} date - Date to check
+ * @returns {boolean} - Whether the day matches
+ */
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.values.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.values.has(date.getDay());
+
+  if (cron.daysOfMonth.restricted && cron.daysOfWeek.restricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Gets the next time a cron expression fires, in server local time
+ * @param {string|Object} expression - Cron expression or parsed schedule
+ * @param {Date} after - Find the first time strictly after this (default: now)
+ * @returns {Date|null} - Next fire time, or null if the expression is invalid or never fires
+ */
+function getNextFireTime(expression, after = new Date()) {
+  const cron = typeof expression === "string" ? parseCron(expression) : expression;
+  if (!cron || cron.error) {
+    return null;
+  }
+
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + config.MAX_SEARCH_YEARS);
+
+  // Skip whole months, days and hours that cannot match before checking minutes
+  while (date < limit) {
+    if (!cron.months.values.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.hours.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.minutes.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  getNextFireTime,
+  config
+};
@@ -0,0 +1,315 @@
+const runTestsUtils = require("./runTestsUtils");
+const historyUtils = require("./historyUtils");
+const flakyUtils = require("./flakyUtils");
+const exportUtils = require("./exportUtils");
+
+/**
+ * Configuration for the test trend dashboard
+ */
+const config = {
+  DEFAULT_WINDOW: 50, // Most recent runs shown
+  MAX_WINDOW: 500,
+  TOP_TESTS: 10, // Rows in the top failing and top flaky tables
+  MAX_ERROR_LENGTH: 200,
+  ANALYZED_STATUSES: ["passed", "failed"], // Run statuses whose results are representative
+  CHART: { WIDTH: 720, HEIGHT: 220, PADDING_LEFT: 48, PADDING_RIGHT: 16, PADDING_TOP: 16, PADDING_BOTTOM: 28 },
+  COLORS: { passed: "#2e9e5b", failed: "#d64545", line: "#3b7dd8", grid: "#e3e6ea", text: "#5f6b7a" }
+};
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Formats a ratio as a percentage
+ * @param {number|null} ratio - Ratio between 0 and 1
+ * @returns {string} - Percentage such as "87.5%", or "–" if unknown
+ */
+function formatPercent(ratio) {
+  return ratio === null || ratio === undefined ? "–" : `${Math.round(ratio * 1000) / 10}%`;
+}
+
+/**
+ * Computes the trend data shown on the dashboard from the run history
+ * @param {Object} options - Dashboard options
+ * @param {number} options.runs - Number of most recent runs (default: 50)
+ * @param {string} options.category - Only runs of this category
+ * @returns {Promise<Object>} - Per-run points, totals, and the top failing and flaky tests
+ */
+async function getDashboardData(options = {}) {
+  const window = Math.min(Math.max(parseInt(options.runs, 10) || config.DEFAULT_WINDOW, 1), config.MAX_WINDOW);
+
+  const entries = (await historyUtils.loadHistory())
+    .filter(entry => config.ANALYZED_STATUSES.includes(entry.status))
+    // Shard results are shown through their merged sharded run
+    .filter(entry => entry.type !== "shard")
+    .filter(entry => !options.category || entry.category === options.category)
+    .slice(-window);
+
+  // Pass rate per run and failures per test, from the final attempt of each test,
+  // so a test that passed on retry counts as passed once
+  const points = [];
+  const failing = new Map();
+
+  for (const entry of entries) {
+    const saved = await runTestsUtils.getRunSummary(entry.runId);
+    const finalResults = saved && Array.isArray(saved.results) ? runTestsUtils.getFinalResults(saved.results) : new Map();
+    let passed = 0;
+    let failed = 0;
+
+    finalResults.forEach((result, key) => {
+      const outcome = flakyUtils.toOutcome(result.status);
+      if (outcome === null) {
+        return;
+      }
+
+      if (!failing.has(key)) {
+        failing.set(key, { key, file: result.file, suite: result.suite, title: result.title, project: result.project || null, runs: 0, failures: 0, lastFailure: null });
+      }
+
+      const test = failing.get(key);
+      test.runs++;
+
+      if (outcome === "pass") {
+        passed++;
+      } else {
+        failed++;
+        test.failures++;
+        test.lastFailure = { runId: entry.runId, startedAt: entry.startedAt, error: runTestsUtils.getErrorMessage(result, config.MAX_ERROR_LENGTH) };
+      }
+    });
+
+    points.push({
+      runId: entry.runId,
+      startedAt: entry.startedAt,
+      status: entry.status,
+      specFile: entry.specFile,
+      label: entry.label,
+      passRate: passed + failed ? passed / (passed + failed) : null,
+      duration: entry.duration || 0,
+      passed,
+      failed
+    });
+  }
+
+  const topFailing = Array.from(failing.values())
+    .filter(test => test.failures > 0)
+    .map(test => ({ ...test, failRate: test.failures / test.runs }))
+    .sort((a, b) => (b.failures - a.failures) || (b.failRate - a.failRate))
+    .slice(0, config.TOP_TESTS);
+
+  const flaky = await flakyUtils.analyzeFlakiness({ runs: window, category: options.category });
+  const topFlaky = flaky.tests.filter(test => test.flips > 0).slice(0, config.TOP_TESTS);
+
+  const passRates = points.map(point => point.passRate).filter(rate => rate !== null);
+  const durations = points.map(point => point.duration).sort((a, b) => a - b);
+
+  return {
+    window,
+    category: options.category || null,
+    generatedAt: new Date().toISOString(),
+    totals: {
+      runs: points.length,
+      passedRuns: points.filter(point => point.status === "passed").length,
+      averagePassRate: passRates.length ? passRates.reduce((sum, rate) => sum + rate, 0) / passRates.length : null,
+      medianDuration: durations.length ? durations[Math.floor(durations.length / 2)] : null,
+      lastRun: points.length ? points[points.length - 1] : null
+    },
+    points,
+    topFailing,
+    topFlaky
+  };
+}
+
+/**
+ * Renders a line chart of run values as inline SVG.
+ * Points carry a <title>, so hovering shows the run without any script.
+ * @param {Array} points - Dashboard points
+ * @param {Object} options - Chart options
+ * @param {Function} options.value - Gets the plotted value of a point (null leaves a gap)
+ * @param {number} options.max - Top of the value axis
+ * @param {Function} options.format - Formats axis and tooltip values
+ * @param {string} options.label - Accessible chart label
+ * @returns {string} - SVG markup
+ */
+function renderLineChart(points, options) {
+  const { WIDTH, HEIGHT, PADDING_LEFT, PADDING_RIGHT, PADDING_TOP, PADDING_BOTTOM } = config.CHART;
+  const plotWidth = WIDTH - PADDING_LEFT - PADDING_RIGHT;
+  const plotHeight = HEIGHT - PADDING_TOP - PADDING_BOTTOM;
+  const max = options.max || 1;
+
+  const x = (index) => PADDING_LEFT + (points.length > 1 ? (index / (points.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => PADDING_TOP + plotHeight - (value / max) * plotHeight;
+
+  const grid = [0, 0.25, 0.5, 0.75, 1].map(step => {
+    const lineY = y(step * max).toFixed(1);
+    return `<line x1="${PADDING_LEFT}" y1="${lineY}" x2="${WIDTH - PADDING_RIGHT}" y2="${lineY}" stroke="${config.COLORS.grid}"/>` +
+      `<text x="${PADDING_LEFT - 6}" y="${lineY}" dy="4" text-anchor="end">${escapeHtml(options.format(step * max))}</text>`;
+  }).join("");
+
+  // Lines break where a run has no value
+  const segments = [];
+  let segment = [];
+  points.forEach((point, index) => {
+    const value = options.value(point);
+    if (value === null) {
+      if (segment.length) segments.push(segment);
+      segment = [];
+    } else {
+      segment.push(`${x(index).toFixed(1)},${y(value).toFixed(1)}`);
+    }
+  });
+  if (segment.length) segments.push(segment);
+
+  const lines = segments
+    .map(coordinates => `<polyline fill="none" stroke="${config.COLORS.line}" stroke-width="2" points="${coordinates.join(" ")}"/>`)
+    .join("");
+
+  const dots = points.map((point, index) => {
+    const value = options.value(point);
+    if (value === null) {
+      return "";
+    }
+
+    const tooltip = `${new Date(point.startedAt).toLocaleString()} · ${point.status} · ${options.format(value)} · ${point.passed} passed, ${point.failed} failed${point.specFile ? ` · ${point.specFile}` : ""}`;
+    return `<a href="/api/tests/runs/${encodeURIComponent(point.runId)}"><circle cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="4" fill="${config.COLORS[point.status] || config.COLORS.line}"><title>${escapeHtml(tooltip)}</title></circle></a>`;
+  }).join("");
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const dates = points.length
+    ? `<text x="${PADDING_LEFT}" y="${HEIGHT - 8}">${escapeHtml(new Date(first.startedAt).toLocaleDateString())}</text>` +
+      `<text x="${WIDTH - PADDING_RIGHT}" y="${HEIGHT - 8}" text-anchor="end">${escapeHtml(new Date(last.startedAt).toLocaleDateString())}</text>`
+    : "";
+
+  return `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${escapeHtml(options.label)}" font-size="11" fill="${config.COLORS.text}">${grid}${lines}${dots}${dates}</svg>`;
+}
+
+/**
+ * Renders a table, or a note when it has no rows
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cells as HTML
+ * @param {string} emptyText - Text shown without rows
+ * @returns {string} - HTML
+ */
+function renderTable(headers, rows, emptyText) {
+  if (rows.length === 0) {
+    return `<p class="empty">${escapeHtml(emptyText)}</p>`;
+  }
+
+  return `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join("")}</tr></thead>` +
+    `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+}
+
+/**
+ * Renders the name of a test for a table cell
+ * @param {Object} test - Test with file, suite, title and project
+ * @returns {string} - HTML
+ */
+function renderTestName(test) {
+  const suite = test.suite && test.suite !== test.file ? `${test.suite} › ` : "";
+  const project = test.project ? ` <span class="tag">${escapeHtml(test.project)}</span>` : "";
+  return `${escapeHtml(suite + test.title)}${project}<div class="file">${escapeHtml(test.file)}</div>`;
+}
+
+/**
+ * Renders the dashboard as a self-contained HTML page (inline CSS and SVG, no external resources)
+ * @param {Object} data - Dashboard data from getDashboardData
+ * @returns {string} - HTML page
+ */
+function renderDashboard(data) {
+  const { totals, points } = data;
+  const maxDuration = Math.max(...points.map(point => point.duration), 1000);
+  const scope = data.category ? `category ${data.category}` : "";
+
+  const cards = [
+    ["Runs", `${totals.runs}`, `last ${data.window} finished runs`],
+    ["Passed runs", `${totals.passedRuns}`, totals.runs ? formatPercent(totals.passedRuns / totals.runs) : "–"],
+    ["Average pass rate", formatPercent(totals.averagePassRate), "of passed and failed tests"],
+    ["Median duration", totals.medianDuration === null ? "–" : exportUtils.formatDuration(totals.medianDuration), "per run"],
+    ["Last run", totals.lastRun ? totals.lastRun.status : "–", totals.lastRun ? new Date(totals.lastRun.startedAt).toLocaleString() : ""]
+  ].map(([title, value, note]) => `<div class="card"><div class="card-title">${escapeHtml(title)}</div><div class="card-value">${escapeHtml(value)}</div><div class="card-note">${escapeHtml(note)}</div></div>`).join("");
+
+  const failingRows = data.topFailing.map(test => [
+    renderTestName(test),
+    `${test.failures} / ${test.runs}`,
+    formatPercent(test.failRate),
+    test.lastFailure
+      ? `<a href="/api/tests/runs/${encodeURIComponent(test.lastFailure.runId)}">${escapeHtml(new Date(test.lastFailure.startedAt).toLocaleString())}</a><div class="file">${escapeHtml(test.lastFailure.error || "")}</div>`
+      : ""
+  ]);
+
+  const flakyRows = data.topFlaky.map(test => [
+    renderTestName(test),
+    formatPercent(test.flipRate),
+    `${test.flips} in ${test.runs} runs`,
+    `${test.retriedPasses}`,
+    escapeHtml(test.lastOutcome)
+  ]);
+
+  const chartOrEmpty = (chart) => (points.length ? chart : '<p class="empty">No finished runs yet.</p>');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Test trends${scope ? ` – ${escapeHtml(scope)}` : ""}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', sans-serif; color: #2c3e50; max-width: 1100px; margin: 0 auto; padding: 20px; line-height: 1.5; }
+    h1 { margin-bottom: 4px; }
+    h2 { border-bottom: 2px solid #3b7dd8; padding-bottom: 4px; margin-top: 32px; }
+    form { margin: 12px 0 20px; display: flex; gap: 12px; flex-wrap: wrap; align-items: end; }
+    label { display: flex; flex-direction: column; font-size: 0.85em; color: #5f6b7a; }
+    input, button { font: inherit; padding: 4px 8px; }
+    .subtitle, .empty, .file, .card-note { color: #5f6b7a; }
+    .file { font-size: 0.8em; }
+    .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(170px, 1fr)); gap: 12px; }
+    .card { border: 1px solid #dde1e6; border-radius: 6px; padding: 12px; }
+    .card-title { font-size: 0.85em; color: #5f6b7a; }
+    .card-value { font-size: 1.6em; font-weight: 600; }
+    .card-note { font-size: 0.8em; }
+    svg { width: 100%; height: auto; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border-bottom: 1px solid #e3e6ea; padding: 8px; text-align: left; vertical-align: top; }
+    th { background: #f6f8fa; }
+    .tag { font-size: 0.75em; background: #eef2f7; border-radius: 4px; padding: 1px 6px; }
+  </style>
+</head>
+<body>
+  <h1>Test trends</h1>
+  <div class="subtitle">${escapeHtml(scope || "All categories")} · generated ${escapeHtml(new Date(data.generatedAt).toLocaleString())} · <a href="/reports/dashboard?format=json${data.category ? `&amp;category=${encodeURIComponent(data.category)}` : ""}&amp;runs=${data.window}">JSON</a></div>
+  <form method="get" action="/reports/dashboard">
+    <label>Category <input name="category" value="${escapeHtml(data.category || "")}" placeholder="all"></label>
+    <label>Runs <input name="runs" type="number" min="1" max="${config.MAX_WINDOW}" value="${data.window}"></label>
+    <button type="submit">Update</button>
+  </form>
+  <div class="cards">${cards}</div>
+  <h2>Pass rate</h2>
+  ${chartOrEmpty(renderLineChart(points, { value: point => point.passRate, max: 1, format: formatPercent, label: "Pass rate per run" }))}
+  <h2>Duration</h2>
+  ${chartOrEmpty(renderLineChart(points, { value: point => point.duration, max: maxDuration, format: exportUtils.formatDuration, label: "Duration per run" }))}
+  <h2>Top failing tests</h2>
+  ${renderTable(["Test", "Failures", "Fail rate", "Last failure"], failingRows, "No test failed in these runs.")}
+  <h2>Top flaky tests</h2>
+  ${renderTable(["Test", "Flip rate", "Flips", "Passed on retry", "Last outcome"], flakyRows, "No test flipped between passing and failing in these runs.")}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  getDashboardData,
+  renderDashboard,
+  config
+};
@@ -0,0 +1,348 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const fileUtils = require("./fileUtils");
+const properties = require("./properties");
+const logger = require("./logUtils");
+
+/**
+ * Configuration for the environment profiles injected into test runs
+ */
+const config = {
+  PROFILE_CATEGORY: properties.CATEGORIES.REPORTS,
+  PROFILE_FILE: "env-profiles.json",
+  SECRETS_KEY: properties.SECRETS_KEY,
+  SECRETS_KEY_FILE: properties.SECRETS_KEY_FILE,
+  CIPHER: "aes-256-gcm",
+  NAME_PATTERN: /^[A-Za-z0-9_-]{1,64}$/,
+  VARIABLE_PATTERN: /^[A-Za-z_][A-Za-z0-9_]{0,127}$/,
+  MAX_VALUE_LENGTH: 8192,
+  MAX_DESCRIPTION_LENGTH: 500,
+  MASK: "***"
+};
+
+// In-memory copy of the profile file, loaded on first use
+const profileStore = fileUtils.createJsonStore({
+  category: config.PROFILE_CATEGORY,
+  fileName: config.PROFILE_FILE,
+  key: "profiles",
+  description: "environment profiles"
+});
+
+// Key secrets are encrypted with, read or created on first use
+const keyStore = {
+  key: null
+};
+
+/**
+ * Gets the key secrets are encrypted with.
+ * Uses SECRETS_KEY when set; otherwise a random key kept in SECRETS_KEY_FILE,
+ * outside the file storage so the file API cannot serve it.
+ * @returns {Promise<Buffer>} - 32-byte key
+ */
+async function getSecretsKey() {
+  if (keyStore.key) {
+    return keyStore.key;
+  }
+
+  if (config.SECRETS_KEY) {
+    keyStore.key = crypto.createHash("sha256").update(config.SECRETS_KEY).digest();
+    return keyStore.key;
+  }
+
+  try {
+    keyStore.key = Buffer.from((await fs.readFile(config.SECRETS_KEY_FILE, "utf8")).trim(), "hex");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+
+    keyStore.key = crypto.randomBytes(32);
+    await fs.writeFile(config.SECRETS_KEY_FILE, keyStore.key.toString("hex"), { encoding: "utf8", mode: 0o600 });
+    logger.info(`Generated a secrets key in ${config.SECRETS_KEY_FILE}`);
+  }
+
+  return keyStore.key;
+}
+
+/**
+ * Encrypts a secret value for storage
+ * @param {string} value - Plain secret value
+ * @returns {Promise<Object>} - Encrypted value ({ iv, tag, data })
+ */
+async function encryptSecret(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(config.CIPHER, await getSecretsKey(), iv);
+  const data = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64")
+  };
+}
+
+/**
+ * Decrypts a stored secret value
+ * @param {Object} encrypted - Encrypted value ({ iv, tag, data })
+ * @returns {Promise<string>} - Plain secret value
+ */
+async function decryptSecret(encrypted) {
+  const decipher = crypto.createDecipheriv(config.CIPHER, await getSecretsKey(), Buffer.from(encrypted.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, "base64"));
+
+  return Buffer.concat([decipher.update(Buffer.from(encrypted.data, "base64")), decipher.final()]).toString("utf8");
+}
+
+/**
+ * Builds the client view of a profile; secret values never leave the server
+ * @param {Object} profile - Stored profile
+ * @returns {Object} - Profile with secret names and masked values
+ */
+function toProfileView(profile) {
+  const { secrets, ...view } = profile;
+
+  return {
+    ...view,
+    secrets: Object.fromEntries(Object.keys(secrets).map(name => [name, config.MASK]))
+  };
+}
+
+/**
+ * Validates a set of environment variables
+ * @param {Object} variables - Variable names and values (null values are allowed when removing)
+ * @param {Object} options - Validation options
+ * @param {boolean} options.allowNull - Accept null values (used to remove variables on update)
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateVariables(variables, options = {}) {
+  if (variables === undefined) {
+    return null;
+  }
+
+  if (!variables || typeof variables !== "object" || Array.isArray(variables)) {
+    return "Environment variables must be an object of names and values";
+  }
+
+  for (const [name, value] of Object.entries(variables)) {
+    if (!config.VARIABLE_PATTERN.test(name)) {
+      return `Invalid environment variable name: ${name}`;
+    }
+
+    if (value === null && options.allowNull) {
+      continue;
+    }
+
+    if (!["string", "number", "boolean"].includes(typeof value)) {
+      return `Environment variable ${name} must be a string, number or boolean`;
+    }
+
+    if (String(value).length > config.MAX_VALUE_LENGTH) {
+      return `Environment variable ${name} must be at most ${config.MAX_VALUE_LENGTH} characters`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lists the environment profiles
+ * @returns {Promise<Array>} - Profiles with masked secrets
+ */
+async function listProfiles() {
+  const profiles = await profileStore.load();
+  return profiles.map(toProfileView);
+}
+
+/**
+ * Gets an environment profile
+ * @param {string} name - Profile name
+ * @returns {Promise<Object>} - Profile with masked secrets, or error with HTTP code
+ */
+async function getProfile(name) {
+  const profiles = await profileStore.load();
+  const profile = profiles.find(entry => entry.name === name);
+
+  if (!profile) {
+    return { error: `Environment profile not found: ${name}`, code: 404 };
+  }
+
+  return { profile: toProfileView(profile) };
+}
+
+/**
+ * Creates an environment profile or updates an existing one.
+ * Variables and secrets are merged into the existing profile; a null value removes a name.
+ * @param {string} name - Profile name
+ * @param {Object} params - Profile parameters
+ * @param {string} params.description - What the profile is for
+ * @param {Object} params.variables - Plain variables, readable through the API
+ * @param {Object} params.secrets - Secret variables, write-only and encrypted at rest
+ * @returns {Promise<Object>} - Profile with masked secrets and a `created` flag, or error with HTTP code
+ */
+async function saveProfile(name, params = {}) {
+  if (!config.NAME_PATTERN.test(name || "")) {
+    return { error: "Profile names may only contain letters, digits, '-' and '_' (max 64 characters)", code: 400 };
+  }
+
+  if (params.description !== undefined && (typeof params.description !== "string" || params.description.length > config.MAX_DESCRIPTION_LENGTH)) {
+    return { error: `Description must be a string of at most ${config.MAX_DESCRIPTION_LENGTH} characters`, code: 400 };
+  }
+
+  const variablesError = validateVariables(params.variables, { allowNull: true }) || validateVariables(params.secrets, { allowNull: true });
+  if (variablesError) {
+    return { error: variablesError, code: 400 };
+  }
+
+  const variables = params.variables || {};
+  const secrets = params.secrets || {};
+  const overlap = Object.keys(variables).filter(key => variables[key] !== null && secrets[key] !== undefined && secrets[key] !== null);
+  if (overlap.length > 0) {
+    return { error: `Names cannot be both a variable and a secret: ${overlap.join(", ")}`, code: 400 };
+  }
+
+  const profiles = await profileStore.load();
+  let profile = profiles.find(entry => entry.name === name);
+  const created = !profile;
+
+  if (created) {
+    profile = {
+      name,
+      description: null,
+      variables: {},
+      secrets: {},
+      createdAt: new Date().toISOString(),
+      updatedAt: null
+    };
+  }
+
+  if (params.description !== undefined) {
+    profile.description = params.description || null;
+  }
+
+  // A name set in one list is dropped from the other, so a variable can be turned into a secret
+  for (const [key, value] of Object.entries(variables)) {
+    if (value === null) {
+      delete profile.variables[key];
+    } else {
+      profile.variables[key] = String(value);
+      delete profile.secrets[key];
+    }
+  }
+
+  for (const [key, value] of Object.entries(secrets)) {
+    if (value === null) {
+      delete profile.secrets[key];
+    } else {
+      profile.secrets[key] = await encryptSecret(String(value));
+      delete profile.variables[key];
+    }
+  }
+
+  if (created) {
+    profiles.push(profile);
+  } else {
+    profile.updatedAt = new Date().toISOString();
+  }
+
+  await profileStore.persist();
+  logger.info(`Environment profile "${name}" ${created ? "created" : "updated"}`);
+
+  return { profile: toProfileView(profile), created };
+}
+
+/**
+ * Deletes an environment profile
+ * @param {string} name - Profile name
+ * @returns {Promise<Object>} - Deleted profile name, or error with HTTP code
+ */
+async function deleteProfile(name) {
+  const profiles = await profileStore.load();
+  const index = profiles.findIndex(entry => entry.name === name);
+
+  if (index === -1) {
+    return { error: `Environment profile not found: ${name}`, code: 404 };
+  }
+
+  profiles.splice(index, 1);
+  await profileStore.persist();
+  logger.info(`Environment profile "${name}" deleted`);
+
+  return { name };
+}
+
+/**
+ * Resolves the environment a run is started with
+ * @param {string} profileName - Profile to use (optional)
+ * @param {Object} overrides - Extra variables that take precedence over the profile (optional)
+ * @returns {Promise<Object>} - Variables to inject and the secret values to redact, or error with HTTP code
+ */
+async function resolveRunEnvironment(profileName, overrides = {}) {
+  const variables = {};
+  const secretValues = [];
+
+  if (profileName) {
+    const profiles = await profileStore.load();
+    const profile = profiles.find(entry => entry.name === profileName);
+
+    if (!profile) {
+      return { error: `Environment profile not found: ${profileName}`, code: 404 };
+    }
+
+    Object.assign(variables, profile.variables);
+
+    for (const [key, encrypted] of Object.entries(profile.secrets)) {
+      try {
+        variables[key] = await decryptSecret(encrypted);
+      } catch (error) {
+        return { error: `Secret ${key} of profile "${profileName}" cannot be decrypted; was the secrets key changed?`, code: 500 };
+      }
+
+      secretValues.push(variables[key]);
+    }
+  }
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    variables[key] = String(value);
+  }
+
+  return { variables, secretValues: secretValues.filter(Boolean) };
+}
+
+/**
+ * Creates a function that masks secret values in text.
+ * Values are also matched JSON-escaped once and twice, as they appear in JSON
+ * reports and in reporter events that quote an error message.
+ * The redactor's multilineLength is the length of the longest value spanning lines
+ * (0 if none), which streamed output has to hold back to mask such a value whole.
+ * @param {Array<string>} secretValues - Values to mask
+ * @returns {Function} - Redacts a string; returns other values unchanged
+ */
+function createRedactor(secretValues = []) {
+  const escape = (value) => JSON.stringify(value).slice(1, -1);
+  const patterns = [...new Set(secretValues.flatMap(value => [value, escape(value), escape(escape(value))]))]
+    .filter(Boolean)
+    // Longest first, so a secret containing another is masked whole
+    .sort((a, b) => b.length - a.length);
+
+  const redact = (text) => {
+    if (typeof text !== "string" || patterns.length === 0) {
+      return text;
+    }
+
+    return patterns.reduce((result, pattern) => result.split(pattern).join(config.MASK), text);
+  };
+
+  redact.multilineLength = Math.max(0, ...patterns.filter(pattern => pattern.includes("\n")).map(pattern => pattern.length));
+  return redact;
+}
+
+module.exports = {
+  listProfiles,
+  getProfile,
+  saveProfile,
+  deleteProfile,
+  resolveRunEnvironment,
+  validateVariables,
+  createRedactor,
+  config
+};
@@ -0,0 +1,398 @@
+const path = require("path");
+const fs = require("fs").promises;
+const { stripVTControlCharacters } = require("util");
+const runTestsUtils = require("./runTestsUtils");
+const historyUtils = require("./historyUtils");
+const failureClusterUtils = require("./failureClusterUtils");
+const properties = require("./properties");
+
+/**
+ * Configuration for run exports
+ */
+const config = {
+  FORMATS: {
+    junit: { contentType: "application/xml; charset=utf-8", extension: "xml" },
+    markdown: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+    csv: { contentType: "text/csv; charset=utf-8", extension: "csv" }
+  },
+  FORMAT_ALIASES: { xml: "junit", md: "markdown" },
+  PUBLIC_URL: properties.PUBLIC_URL,
+  MAX_MARKDOWN_FAILURES: 50, // Failed tests listed in a Markdown summary; the rest are counted
+  MAX_MARKDOWN_ERROR_LENGTH: 200,
+  CSV_COLUMNS: ["file", "suite", "title", "project", "status", "duration_ms", "retries", "error"],
+  STATUS_ICONS: { passed: "✅", failed: "❌", error: "❌", cancelled: "⚪" }
+};
+
+/**
+ * Removes terminal colors and characters XML 1.0 does not allow
+ * @param {string} text - Text from the Playwright report
+ * @returns {string} - Clean text
+ */
+function cleanText(text) {
+  return stripVTControlCharacters(text === null || text === undefined ? "" : String(text)).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, "");
+}
+
+/**
+ * Escapes text for an XML attribute or element
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return cleanText(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Escapes text for a Markdown table cell or inline text
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped single-line text
+ */
+function escapeMarkdown(text) {
+  return cleanText(text)
+    .replace(/\s+/g, " ")
+    .replace(/([\\`*_[\]|<>])/g, "\\$1");
+}
+
+/**
+ * Quotes a CSV field (RFC 4180). Fields that spreadsheets would evaluate as formulas are prefixed with a quote.
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function toCsvField(value) {
+  let text = value === null || value === undefined ? "" : cleanText(value);
+
+  if (/^[=+\-\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats milliseconds as seconds for JUnit
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Seconds with three decimals
+ */
+function toSeconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+/**
+ * Formats milliseconds for people
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Duration such as "850ms", "12.3s" or "4m 5s"
+ */
+function formatDuration(ms) {
+  if (!ms || ms < 1000) {
+    return `${Math.round(ms || 0)}ms`;
+  }
+
+  if (ms < 60000) {
+    return `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+/**
+ * Loads the saved full JSON report of a run and its history entry
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object>} - { fullReport, entry }, or error with HTTP code
+ */
+async function loadRunReport(runId) {
+  const outputDir = runTestsUtils.getRunOutputDir(runId);
+  if (!outputDir) {
+    return { error: `Invalid run ID: ${runId}`, code: 400 };
+  }
+
+  let fullReport;
+  try {
+    fullReport = JSON.parse(await fs.readFile(path.join(outputDir, runTestsUtils.config.RUN_OUTPUT.JSON_REPORT), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { error: `Test run ${runId} has no saved report (it has not finished, or it is unknown)`, code: 404 };
+    }
+    return { error: `The saved report of test run ${runId} cannot be read`, code: 500 };
+  }
+
+  return { fullReport, entry: await historyUtils.getHistoryEntry(runId) };
+}
+
+/**
+ * Collects the tests of a report with their describe path
+ * @param {Object} suite - Report suite
+ * @param {Array<string>} titlePath - Titles of the enclosing describe blocks
+ * @returns {Array} - { titlePath, spec, test } per test and project
+ */
+function collectTests(suite, titlePath = []) {
+  const tests = (suite.specs || []).flatMap(spec => (spec.tests || []).map(test => ({
+    titlePath: [...titlePath, spec.title],
+    spec,
+    test
+  })));
+
+  return tests.concat((suite.suites || []).flatMap(child => collectTests(child, [...titlePath, child.title])));
+}
+
+/**
+ * Builds a JUnit XML document from a Playwright JSON report.
+ * Each spec file becomes one <testsuite> per project; retries collapse into the final attempt.
+ * @param {Object} fullReport - Playwright JSON report
+ * @param {Object} meta - Run metadata ({ runId })
+ * @returns {string} - JUnit XML
+ */
+function toJUnit(fullReport, meta) {
+  const suites = new Map();
+
+  (fullReport.suites || []).forEach(fileSuite => {
+    collectTests(fileSuite).forEach(({ titlePath, spec, test }) => {
+      const project = test.projectName || "";
+      const key = `${fileSuite.file || fileSuite.title}\u0000${project}`;
+
+      if (!suites.has(key)) {
+        suites.set(key, { file: fileSuite.file || fileSuite.title, project, cases: [], tests: 0, failures: 0, errors: 0, skipped: 0, time: 0 });
+      }
+
+      const junitSuite = suites.get(key);
+      const results = test.results || [];
+      const final = results[results.length - 1] || { status: "skipped", duration: 0 };
+      const attributes = `name="${escapeXml(titlePath.join(" › "))}" classname="${escapeXml(spec.file || junitSuite.file)}" time="${toSeconds(final.duration)}"`;
+      let body = "";
+
+      junitSuite.tests++;
+      junitSuite.time += final.duration || 0;
+
+      if (final.status === "failed" || final.status === "timedOut") {
+        const error = final.error || {};
+        const message = cleanText(error.message || `Test ${final.status}`).split("\n")[0];
+        junitSuite.failures++;
+        body += `      <failure message="${escapeXml(message)}" type="${final.status === "timedOut" ? "TimeoutError" : "AssertionError"}">${escapeXml(error.stack || error.message || "")}</failure>\n`;
+      } else if (final.status === "interrupted") {
+        junitSuite.errors++;
+        body += `      <error message="Test was interrupted" type="InterruptedError"/>\n`;
+      } else if (final.status === "skipped") {
+        junitSuite.skipped++;
+        body += "      <skipped/>\n";
+      }
+
+      const output = (stream) => (final[stream] || []).map(chunk => chunk.text || "").join("");
+      if (output("stdout")) {
+        body += `      <system-out>${escapeXml(output("stdout"))}</system-out>\n`;
+      }
+      if (output("stderr")) {
+        body += `      <system-err>${escapeXml(output("stderr"))}</system-err>\n`;
+      }
+
+      junitSuite.cases.push(body ? `    <testcase ${attributes}>\n${body}    </testcase>` : `    <testcase ${attributes}/>`);
+    });
+  });
+
+  // Errors outside tests, such as a spec that fails to compile
+  const globalErrors = fullReport.errors || [];
+  const all = Array.from(suites.values());
+  const total = (field) => all.reduce((sum, suite) => sum + suite[field], 0);
+  const timestamp = fullReport.stats && fullReport.stats.startTime ? ` timestamp="${escapeXml(fullReport.stats.startTime)}"` : "";
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites id="${escapeXml(meta.runId)}" name="${escapeXml(meta.runId)}" tests="${total("tests") + globalErrors.length}" failures="${total("failures")}" errors="${total("errors") + globalErrors.length}" skipped="${total("skipped")}" time="${toSeconds(fullReport.stats ? fullReport.stats.duration : total("time"))}">`
+  ];
+
+  all.forEach(suite => {
+    lines.push(`  <testsuite name="${escapeXml(suite.file)}"${timestamp} hostname="${escapeXml(suite.project)}" tests="${suite.tests}" failures="${suite.failures}" errors="${suite.errors}" skipped="${suite.skipped}" time="${toSeconds(suite.time)}">`);
+    lines.push(...suite.cases);
+    lines.push("  </testsuite>");
+  });
+
+  if (globalErrors.length) {
+    lines.push(`  <testsuite name="Global errors" tests="${globalErrors.length}" failures="0" errors="${globalErrors.length}" skipped="0" time="0.000">`);
+    globalErrors.forEach((error, index) => {
+      const message = cleanText(error.message || "").split("\n")[0];
+      lines.push(`    <testcase name="Global error ${index + 1}" classname="Global errors" time="0.000">`);
+      lines.push(`      <error message="${escapeXml(message)}" type="Error">${escapeXml(error.stack || error.message || "")}</error>`);
+      lines.push("    </testcase>");
+    });
+    lines.push("  </testsuite>");
+  }
+
+  lines.push("</testsuites>");
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Counts the final outcome of each test, overall and per project.
+ * Unlike the run summary, which counts every attempt, a test that passed on retry counts once, as flaky.
+ * @param {Array} finalResults - Final attempt of each test
+ * @returns {Object} - Counts, with the same counts per project under byProject
+ */
+function countFinalResults(finalResults) {
+  const createCounts = () => ({ total: 0, passed: 0, failed: 0, flaky: 0, skipped: 0 });
+  const counts = { ...createCounts(), byProject: {} };
+
+  finalResults.forEach(result => {
+    const project = result.project || "default";
+    counts.byProject[project] = counts.byProject[project] || createCounts();
+
+    [counts, counts.byProject[project]].forEach(target => {
+      target.total++;
+      if (result.status === "passed") {
+        target[result.retry > 0 ? "flaky" : "passed"]++;
+      } else if (result.status === "failed" || result.status === "timedOut") {
+        target.failed++;
+      } else {
+        target.skipped++;
+      }
+    });
+  });
+
+  return counts;
+}
+
+/**
+ * Builds a Markdown summary of a run, suitable for a pull request comment
+ * @param {Object} fullReport - Playwright JSON report
+ * @param {Object} meta - Run metadata ({ runId, entry })
+ * @returns {string} - Markdown
+ */
+function toMarkdown(fullReport, meta) {
+  const results = runTestsUtils.extractSimplifiedResults(fullReport);
+  const finalResults = Array.from(runTestsUtils.getFinalResults(results).values());
+  const summary = countFinalResults(finalResults);
+  const failed = finalResults.filter(result => result.status === "failed" || result.status === "timedOut");
+  const flaky = finalResults.filter(result => result.status === "passed" && result.retry > 0);
+  const entry = meta.entry || {};
+  const status = entry.status || (failed.length || (fullReport.errors || []).length ? "failed" : "passed");
+  const duration = entry.duration !== undefined && entry.duration !== null
+    ? entry.duration
+    : (fullReport.stats ? fullReport.stats.duration : 0);
+
+  const icon = config.STATUS_ICONS[status];
+  const lines = [`### ${icon ? `${icon} ` : ""}Playwright run ${status}`, ""];
+
+  const details = [
+    entry.specFile ? `**Spec:** ${escapeMarkdown(entry.specFile)}` : null,
+    entry.label ? `**Label:** ${escapeMarkdown(entry.label)}` : null,
+    `**Duration:** ${formatDuration(duration)}`,
+    `**Run:** [${meta.runId.slice(0, 8)}](${config.PUBLIC_URL}/api/tests/runs/${meta.runId})`,
+    entry.reportUrl ? `**Report:** [HTML report](${config.PUBLIC_URL}${entry.reportUrl})` : null
+  ].filter(Boolean);
+  lines.push(details.join(" · "), "");
+
+  const projects = Object.keys(summary.byProject);
+  lines.push("| Project | Total | Passed | Failed | Flaky | Skipped |", "| --- | ---: | ---: | ---: | ---: | ---: |");
+  if (projects.length > 1) {
+    projects.forEach(project => {
+      const counts = summary.byProject[project];
+      lines.push(`| ${escapeMarkdown(project)} | ${counts.total} | ${counts.passed} | ${counts.failed} | ${counts.flaky} | ${counts.skipped} |`);
+    });
+  }
+  lines.push(`| **${projects.length > 1 ? "All" : escapeMarkdown(projects[0] || "All")}** | **${summary.total}** | **${summary.passed}** | **${summary.failed}** | **${summary.flaky}** | **${summary.skipped}** |`, "");
+
+  if (failed.length) {
+    lines.push(`#### Failed tests (${failed.length})`, "");
+    failed.slice(0, config.MAX_MARKDOWN_FAILURES).forEach(result => {
+      const title = [result.suite !== result.file ? result.suite : null, result.title].filter(Boolean).join(" › ");
+      const error = runTestsUtils.getErrorMessage(result, config.MAX_MARKDOWN_ERROR_LENGTH);
+      const project = result.project ? ` [${escapeMarkdown(result.project)}]` : "";
+
+      lines.push(`- ${escapeMarkdown(result.file)}: ${escapeMarkdown(title)}${project}${error ? ` — ${escapeMarkdown(error)}` : ""}`);
+    });
+    if (failed.length > config.MAX_MARKDOWN_FAILURES) {
+      lines.push(`- …and ${failed.length - config.MAX_MARKDOWN_FAILURES} more`);
+    }
+    lines.push("");
+
+    const clusters = failureClusterUtils.clusterFailures(results).filter(cluster => cluster.count > 1);
+    if (clusters.length) {
+      lines.push("#### Common causes", "");
+      clusters.forEach(cluster => {
+        lines.push(`- **${cluster.count} tests:** ${escapeMarkdown(cluster.signature)}`);
+      });
+      lines.push("");
+    }
+  }
+
+  if (flaky.length) {
+    lines.push(`#### Flaky tests (${flaky.length})`, "");
+    flaky.forEach(result => {
+      lines.push(`- ${escapeMarkdown(result.file)}: ${escapeMarkdown(result.title)}${result.project ? ` [${escapeMarkdown(result.project)}]` : ""} — passed on retry ${result.retry}`);
+    });
+    lines.push("");
+  }
+
+  (fullReport.errors || []).forEach((error, index) => {
+    if (index === 0) {
+      lines.push("#### Errors outside tests", "");
+    }
+    lines.push(`- ${escapeMarkdown(cleanText(error.message || "").split("\n")[0])}`);
+  });
+
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+/**
+ * Builds a CSV table of a run with one row per test and project (final attempt)
+ * @param {Object} fullReport - Playwright JSON report
+ * @returns {string} - CSV
+ */
+function toCsv(fullReport) {
+  const results = runTestsUtils.extractSimplifiedResults(fullReport);
+  const rows = Array.from(runTestsUtils.getFinalResults(results).values()).map(result => [
+    result.file,
+    result.suite,
+    result.title,
+    result.project,
+    result.status,
+    result.duration,
+    result.retry || 0,
+    runTestsUtils.getErrorMessage(result)
+  ]);
+
+  return [config.CSV_COLUMNS, ...rows]
+    .map(row => row.map(toCsvField).join(","))
+    .join("\r\n") + "\r\n";
+}
+
+/**
+ * Exports a stored run from its saved full JSON report
+ * @param {string} runId - Run ID
+ * @param {string} format - junit (or xml), markdown (or md), or csv
+ * @returns {Promise<Object>} - { content, contentType, fileName }, or error with HTTP code
+ */
+async function exportRun(runId, format) {
+  const name = config.FORMAT_ALIASES[String(format || "").toLowerCase()] || String(format || "").toLowerCase();
+  const exportFormat = config.FORMATS[name];
+
+  if (!exportFormat) {
+    return { error: `Invalid export format: ${format}. Available formats: ${Object.keys(config.FORMATS).join(", ")}`, code: 400 };
+  }
+
+  const report = await loadRunReport(runId);
+  if (report.error) {
+    return report;
+  }
+
+  const meta = { runId, entry: report.entry };
+  const builders = {
+    junit: () => toJUnit(report.fullReport, meta),
+    markdown: () => toMarkdown(report.fullReport, meta),
+    csv: () => toCsv(report.fullReport)
+  };
+
+  return {
+    content: builders[name](),
+    contentType: exportFormat.contentType,
+    fileName: `run-${runId}.${exportFormat.extension}`
+  };
+}
+
+module.exports = {
+  exportRun,
+  escapeXml,
+  formatDuration,
+  config
+};
@@ -0,0 +1,188 @@
+const crypto = require("crypto");
+const { stripVTControlCharacters } = require("util");
+const runTestsUtils = require("./runTestsUtils");
+const flakyUtils = require("./flakyUtils");
+
+/**
+ * Configuration for failure clustering
+ */
+const config = {
+  MAX_MESSAGE_LENGTH: 300,
+  MAX_LOCATOR_LENGTH: 200,
+  // Frames of the test runner and Node.js itself never point at the cause
+  IGNORED_FRAME_PATTERN: /node_modules|^node:|\(node:|<anonymous>$|internal\//,
+  // Replaced before numbers, so an ID turns into one placeholder instead of several
+  DYNAMIC_VALUE_PATTERNS: [
+    [/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, "<id>"],
+    [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, "<id>"],
+    [/https?:\/\/[^\s'")]+/g, "<url>"],
+    [/\d+(\.\d+)?/g, "<n>"]
+  ]
+};
+
+/**
+ * Replaces dynamic values (IDs, URLs, timeouts, counts, line numbers) with placeholders
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text) {
+  return config.DYNAMIC_VALUE_PATTERNS
+    .reduce((result, [pattern, placeholder]) => result.replace(pattern, placeholder), text)
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Gets the first stack frame that points into test code, without line and column
+ * @param {Array<string>} lines - Stack lines
+ * @returns {string|null} - Frame such as "LoginPage.submit (login.page.ts)" or "login.spec.ts"
+ */
+function getTopFrame(lines) {
+  const frames = lines
+    .map(line => line.trim())
+    .filter(line => line.startsWith("at "))
+    .map(line => line.slice(3));
+
+  const frame = frames.find(candidate => !config.IGNORED_FRAME_PATTERN.test(candidate));
+  if (!frame) {
+    return null;
+  }
+
+  // "fn (/abs/path/file.ts:12:5)" or "/abs/path/file.ts:12:5"
+  const match = frame.match(/^(?:(.*?) \()?(.*?)(?::\d+){0,2}\)?$/);
+  const fileName = match[2].split(/[\\/]/).pop();
+
+  return match[1] ? `${match[1]} (${fileName})` : fileName;
+}
+
+/**
+ * Gets the kind of assertion or action that failed
+ * @param {string} message - First line of the error
+ * @returns {string|null} - Matcher such as "toBeVisible" or "not.toHaveText", action such as "locator.click", or null
+ */
+function getAssertionType(message) {
+  const matcher = message.match(/expect\(.*?\)\.((?:not\.)?(?:resolves\.|rejects\.)?to\w+)/);
+  if (matcher) {
+    return matcher[1];
+  }
+
+  const action = message.match(/^(?:\w*Error: )?((?:locator|page|frame|elementHandle|browserContext|request|apiRequestContext)\.\w+):/);
+  return action ? action[1] : null;
+}
+
+/**
+ * Gets the locator a failure waited for, from the error details or the call log
+ * @param {Array<string>} lines - Error lines
+ * @returns {string|null} - Locator such as "getByRole('button', { name: 'Save' })", or null
+ */
+function getLocator(lines) {
+  for (const line of lines) {
+    const match = line.match(/^\s*Locator:\s*(.+)$/) || line.match(/waiting for (locator\(.+\)|getBy\w+\(.+\))/);
+    if (match) {
+      return match[1].trim().slice(0, config.MAX_LOCATOR_LENGTH);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Builds the normalized signature of a failed test result.
+ * Failures with the same signature most likely share a root cause.
+ * @param {Object} result - Simplified test result
+ * @returns {Object} - Signature with its parts: { id, signature, errorType, assertion, locator, message, topFrame }
+ */
+function getErrorSignature(result) {
+  const stack = result.error && result.error.stack ? stripVTControlCharacters(result.error.stack) : null;
+  let parts;
+
+  if (!stack) {
+    // Test timeouts and crashed workers leave no stack
+    parts = {
+      errorType: result.status === "timedOut" ? "TestTimeout" : "Error",
+      assertion: null,
+      locator: null,
+      message: result.status === "timedOut" ? "Test timeout exceeded" : "Failed without error details",
+      topFrame: null
+    };
+  } else {
+    const lines = stack.split("\n");
+    const firstLine = lines[0].trim();
+    const typeMatch = firstLine.match(/^(\w*Error):\s*/);
+    const stackStart = lines.findIndex(line => line.trim().startsWith("at "));
+
+    parts = {
+      errorType: typeMatch ? typeMatch[1] : "Error",
+      assertion: getAssertionType(firstLine),
+      locator: getLocator(stackStart === -1 ? lines : lines.slice(0, stackStart)),
+      message: normalizeText(typeMatch ? firstLine.slice(typeMatch[0].length) : firstLine).slice(0, config.MAX_MESSAGE_LENGTH),
+      topFrame: getTopFrame(lines)
+    };
+
+    if (parts.locator) {
+      parts.locator = normalizeText(parts.locator);
+    }
+  }
+
+  const signature = [
+    `${parts.errorType}: ${parts.message}`,
+    parts.locator ? `locator ${parts.locator}` : null,
+    parts.topFrame ? `at ${parts.topFrame}` : null
+  ].filter(Boolean).join(" | ");
+
+  return {
+    id: crypto.createHash("sha1").update(signature).digest("hex").slice(0, 12),
+    signature,
+    ...parts
+  };
+}
+
+/**
+ * Groups the failed tests of a run by error signature, largest group first.
+ * Retries are collapsed into the final attempt, so tests that passed on retry are left out.
+ * @param {Array} results - Simplified test results of a run
+ * @returns {Array} - Clusters with their signature, failed test count and tests
+ */
+function clusterFailures(results) {
+  const clusters = new Map();
+
+  runTestsUtils.getFinalResults(results).forEach(result => {
+    if (flakyUtils.toOutcome(result.status) !== "fail") {
+      return;
+    }
+
+    const signature = getErrorSignature(result);
+    if (!clusters.has(signature.id)) {
+      clusters.set(signature.id, {
+        ...signature,
+        count: 0,
+        projects: [],
+        sampleError: runTestsUtils.getErrorMessage(result, config.MAX_MESSAGE_LENGTH),
+        tests: []
+      });
+    }
+
+    const cluster = clusters.get(signature.id);
+    cluster.count++;
+    cluster.tests.push({
+      file: result.file,
+      suite: result.suite,
+      title: result.title,
+      project: result.project || null,
+      status: result.status
+    });
+
+    if (result.project && !cluster.projects.includes(result.project)) {
+      cluster.projects.push(result.project);
+    }
+  });
+
+  return Array.from(clusters.values())
+    .sort((a, b) => (b.count - a.count) || a.signature.localeCompare(b.signature));
+}
+
+module.exports = {
+  clusterFailures,
+  getErrorSignature,
+  config
+};
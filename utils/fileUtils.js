@@ -768,6 +768,75 @@ async function moveFile(sourceCategory, sourceFileName, targetCategory, targetFi
   }
 }
 
+/**
+ * Creates an in-memory store for a JSON file that holds one list (e.g. { "entries": [...] }).
+ * The file is read on first use and the list is changed in place; writes are serialized
+ * and go through a temp file so readers never see a partial file.
+ * @param {Object} options - Store options
+ * @param {string} options.category - Storage category of the file
+ * @param {string} options.fileName - File name
+ * @param {string} options.key - Property holding the list
+ * @param {string} options.description - What the list holds, for log messages (e.g. "schedules")
+ * @param {Function} options.upgrade - Maps the list read from the file, e.g. to upgrade older items (optional)
+ * @returns {Object} - { load, persist, peek }: load resolves to the list, persist writes it,
+ * peek returns it if it is loaded (null otherwise)
+ */
+function createJsonStore(options) {
+  const store = {
+    items: null,
+    loading: null,
+    writing: Promise.resolve()
+  };
+  
+  const getFilePath = () => path.join(pathUtils.getSafeCategoryPath(options.category), options.fileName);
+  
+  const load = async () => {
+    if (store.items) {
+      return store.items;
+    }
+    
+    if (!store.loading) {
+      store.loading = (async () => {
+        try {
+          const parsed = JSON.parse(await fs.readFile(getFilePath(), config.DEFAULT_ENCODING));
+          const items = Array.isArray(parsed[options.key]) ? parsed[options.key] : [];
+          store.items = options.upgrade ? options.upgrade(items) : items;
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            logMessage("ERROR", `Failed to load ${options.description}, starting empty`, error);
+          }
+          store.items = [];
+        }
+        
+        return store.items;
+      })();
+    }
+    
+    return store.loading;
+  };
+  
+  const persist = () => {
+    store.writing = store.writing
+      .catch(() => {})
+      .then(async () => {
+        const filePath = getFilePath();
+        const tempPath = `${filePath}.tmp`;
+        
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify({ [options.key]: store.items }, null, 2), config.DEFAULT_ENCODING);
+        await fs.rename(tempPath, filePath);
+      });
+    
+    return store.writing;
+  };
+  
+  return {
+    load,
+    persist,
+    peek: () => store.items
+  };
+}
+
 // Export the module with all the functions
 module.exports = {
   getFiles,
@@ -780,5 +849,6 @@ module.exports = {
   getStorageInfo,
   fileExists,
   ensureDirectoryExists,
+  createJsonStore,
   config
 };
\ No newline at end of file
@@ -0,0 +1,180 @@
+const runTestsUtils = require("./runTestsUtils");
+const historyUtils = require("./historyUtils");
+const properties = require("./properties");
+
+/**
+ * Configuration for flakiness analysis
+ */
+const config = {
+  DEFAULT_WINDOW: properties.FLAKY_WINDOW,
+  MAX_WINDOW: 200,
+  DEFAULT_THRESHOLD: properties.FLAKY_THRESHOLD,
+  DEFAULT_MIN_RUNS: 3, // Tests seen in fewer runs are not ranked
+  ANALYZED_STATUSES: ["passed", "failed"] // Run statuses whose results are representative
+};
+
+/**
+ * Maps a test status to a pass/fail outcome
+ * @param {string} status - Playwright test status
+ * @returns {string|null} - "pass", "fail", or null for outcomes that say nothing (skipped, interrupted)
+ */
+function toOutcome(status) {
+  if (status === "passed") {
+    return "pass";
+  }
+
+  if (status === "failed" || status === "timedOut") {
+    return "fail";
+  }
+
+  return null;
+}
+
+/**
+ * Computes per-test pass/fail flip rates over recent runs.
+ * The flip rate is the share of consecutive runs in which a test changed
+ * between passing and failing (0 = stable, 1 = flips every run).
+ * @param {Object} options - Analysis options
+ * @param {number} options.runs - Number of recent runs to analyze
+ * @param {number} options.minRuns - Minimum runs a test must appear in to be ranked
+ * @param {number} options.threshold - Flip rate at which a test counts as known flaky
+ * @param {string} options.category - Only analyze runs of this category
+ * @param {string} options.project - Only analyze results of this Playwright project
+ * @param {string} options.excludeRunId - Run to leave out (e.g. the run being tagged)
+ * @returns {Promise<Object>} - Ranked flakiness report, or error with HTTP code if the threshold is invalid
+ */
+async function analyzeFlakiness(options = {}) {
+  const window = Math.min(Math.max(parseInt(options.runs, 10) || config.DEFAULT_WINDOW, 1), config.MAX_WINDOW);
+  const minRuns = Math.max(parseInt(options.minRuns, 10) || config.DEFAULT_MIN_RUNS, 1);
+  const threshold = options.threshold !== undefined ? Number(options.threshold) : config.DEFAULT_THRESHOLD;
+  if (options.threshold === "" || isNaN(threshold) || threshold < 0 || threshold > 1) {
+    return { error: "'threshold' must be a number from 0 to 1", code: 400 };
+  }
+
+  const entries = (await historyUtils.loadHistory())
+    .filter(entry => config.ANALYZED_STATUSES.includes(entry.status))
+    // Shard results are analyzed through their merged sharded run
+    .filter(entry => entry.type !== "shard")
+    .filter(entry => entry.runId !== options.excludeRunId)
+    .filter(entry => !options.category || entry.category === options.category)
+    .slice(-window);
+
+  // Outcomes per test, oldest run first
+  const tests = new Map();
+  let analyzedRuns = 0;
+
+  for (const entry of entries) {
+    const saved = await runTestsUtils.getRunSummary(entry.runId);
+    if (!saved || !Array.isArray(saved.results)) {
+      continue;
+    }
+
+    analyzedRuns++;
+
+    runTestsUtils.getFinalResults(saved.results).forEach((result, key) => {
+      const outcome = toOutcome(result.status);
+      if (!outcome || (options.project && result.project !== options.project)) {
+        return;
+      }
+
+      if (!tests.has(key)) {
+        tests.set(key, {
+          key,
+          file: result.file,
+          suite: result.suite,
+          title: result.title,
+          project: result.project || null,
+          outcomes: [],
+          retriedPasses: 0
+        });
+      }
+
+      const test = tests.get(key);
+      test.outcomes.push({ runId: entry.runId, outcome, startedAt: entry.startedAt });
+
+      // Passed only after a retry within the run
+      if (outcome === "pass" && result.retry > 0) {
+        test.retriedPasses++;
+      }
+    });
+  }
+
+  const ranked = Array.from(tests.values())
+    .filter(test => test.outcomes.length >= minRuns)
+    .map(test => {
+      let flips = 0;
+      for (let i = 1; i < test.outcomes.length; i++) {
+        if (test.outcomes[i].outcome !== test.outcomes[i - 1].outcome) {
+          flips++;
+        }
+      }
+
+      const failures = test.outcomes.filter(o => o.outcome === "fail").length;
+      const flipRate = flips / (test.outcomes.length - 1 || 1);
+      const last = test.outcomes[test.outcomes.length - 1];
+
+      return {
+        key: test.key,
+        file: test.file,
+        suite: test.suite,
+        title: test.title,
+        project: test.project,
+        runs: test.outcomes.length,
+        passes: test.outcomes.length - failures,
+        failures,
+        flips,
+        flipRate: Math.round(flipRate * 1000) / 1000,
+        failRate: Math.round((failures / test.outcomes.length) * 1000) / 1000,
+        retriedPasses: test.retriedPasses,
+        knownFlaky: flips > 0 && flipRate >= threshold,
+        lastOutcome: last.outcome,
+        lastRunId: last.runId,
+        lastSeen: last.startedAt
+      };
+    })
+    .sort((a, b) => (b.flipRate - a.flipRate) || (b.failures - a.failures) || (b.retriedPasses - a.retriedPasses));
+
+  return {
+    success: true,
+    window,
+    analyzedRuns,
+    minRuns,
+    threshold,
+    knownFlakyCount: ranked.filter(test => test.knownFlaky).length,
+    tests: ranked
+  };
+}
+
+/**
+ * Marks results of a new run whose tests exceed the flakiness threshold
+ * @param {Array} results - Simplified test results of the new run (modified in place)
+ * @param {Object} options - Analysis options (see analyzeFlakiness)
+ * @returns {Promise<Array<string>>} - Keys of the tests tagged as known flaky
+ */
+async function tagKnownFlaky(results, options = {}) {
+  if (!Array.isArray(results) || results.length === 0) {
+    return [];
+  }
+
+  const report = await analyzeFlakiness(options);
+  const knownFlaky = new Set(report.tests.filter(test => test.knownFlaky).map(test => test.key));
+  const tagged = new Set();
+
+  results.forEach(result => {
+    const key = runTestsUtils.getTestKey(result);
+
+    if (knownFlaky.has(key)) {
+      result.knownFlaky = true;
+      tagged.add(key);
+    }
+  });
+
+  return Array.from(tagged);
+}
+
+module.exports = {
+  analyzeFlakiness,
+  tagKnownFlaky,
+  toOutcome,
+  config
+};
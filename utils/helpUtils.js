@@ -234,32 +234,607 @@ const apiEndpoints = [
     path: '/run-tests',
     method: 'POST',
     group: endpointGroups.TESTING,
-    description: 'Runs Playwright test cases and returns the results',
+    description: 'Queues a Playwright test run and returns its run ID immediately. Either names an existing spec with testFile, or uploads spec files as multipart/form-data; uploads are staged with their fixtures in an isolated temp workspace that is discarded after the run unless keep is true. Config overrides such as baseURL or viewport go into a per-run config that extends playwright.config.ts.',
     parameters: [
-      { name: 'testFile', type: 'body', description: 'Specific test file to run (optional)' },
-      { name: 'testName', type: 'body', description: 'Specific test name to run (optional)' },
-      { name: 'project', type: 'body', description: 'Playwright project to run (optional)' },
-      { name: 'reporter', type: 'body', description: 'Reporter to use (default: json)' }
+      { name: 'testFile', type: 'body', description: 'Existing spec file to run, relative to the category (when nothing is uploaded)' },
+      { name: 'file', type: 'file', description: 'Spec file to upload and run (multipart; use "files" for several)' },
+      { name: 'files', type: 'file', description: 'Additional spec files to upload and run (multipart, optional)' },
+      { name: 'fixtures', type: 'file', description: 'Fixtures and helper modules staged next to the uploaded specs, imported as "./name" (multipart, optional)' },
+      { name: 'keep', type: 'body', description: 'Keep the upload workspace after the run, e.g. to re-run its failures (default: false)' },
+      { name: 'testName', type: 'body', description: 'Title pattern (regular expression) of the tests to run (optional)' },
+      { name: 'tags', type: 'body', description: 'Run only tests with one of these tags, as a list or comma-separated, e.g. @smoke (optional)' },
+      { name: 'excludeTags', type: 'body', description: 'Leave out tests with any of these tags, e.g. @slow (optional)' },
+      { name: 'titles', type: 'body', description: 'Title regular expressions as a list (or one pattern); tests must match one (optional)' },
+      { name: 'browsers', type: 'body', description: 'Browsers/device projects to run in one matrix run, as a list or comma-separated: chromium, firefox, webkit, mobile-chrome, mobile-safari, tablet-safari (default: chromium)' },
+      { name: 'project', type: 'body', description: 'Single Playwright project to run (alias of browsers, optional)' },
+      { name: 'trace', type: 'body', description: 'Trace capture: off, on, retain-on-failure, on-first-retry; always off for runs with profile secrets (optional)' },
+      { name: 'video', type: 'body', description: 'Video capture: off, on, retain-on-failure, on-first-retry (optional)' },
+      { name: 'screenshot', type: 'body', description: 'Screenshot capture: off, on, only-on-failure (optional)' },
+      { name: 'baseURL', type: 'body', description: 'Base URL the specs resolve relative URLs against, e.g. a staging host (optional)' },
+      { name: 'viewport', type: 'body', description: 'Viewport as WIDTHxHEIGHT or { width, height }; wins over device viewports (optional)' },
+      { name: 'headless', type: 'body', description: 'Run browsers headless: true or false (default: from playwright.config.ts)' },
+      { name: 'retries', type: 'body', description: 'Retries of failed tests, 0-10 (optional)' },
+      { name: 'workers', type: 'body', description: 'Parallel worker processes, 1-16 (optional)' },
+      { name: 'testTimeout', type: 'body', description: 'Timeout of each test in ms; timeout limits the whole run (optional)' },
+      { name: 'locale', type: 'body', description: 'Browser locale such as de-DE (optional)' },
+      { name: 'timezone', type: 'body', description: 'IANA time zone such as Europe/Berlin (optional)' },
+      { name: 'envProfile', type: 'body', description: 'Environment profile whose variables and secrets the run gets (optional)' },
+      { name: 'env', type: 'body', description: 'Extra variables that override the profile, as an object (JSON string in query or form fields); not treated as secrets (optional)' },
+      { name: 'reporter', type: 'body', description: 'Reporter to use (default: json)' },
+      { name: 'priority', type: 'query', description: 'Queue priority; higher runs start first (default: 0)' },
+      { name: 'label', type: 'query', description: 'Free-form run label such as a commit SHA or branch (optional)' },
+      { name: 'X-Triggered-By', type: 'header', description: 'Who triggered the run (default: client IP)' }
     ],
-    returns: 'JSON object with test results',
+    returns: 'JSON object with the run ID, queue position and status URL',
     example: {
       url: '/run-tests',
       body: {
         testFile: 'login.spec.js',
-        reporter: 'json'
+        reporter: 'json',
+        browsers: ['chromium', 'firefox', 'mobile-safari']
       },
-      description: 'Run login tests with JSON reporter'
+      description: 'Run login tests in Chromium, Firefox and on an iPhone with JSON reporter'
     }
   },
+  {
+    path: '/tests/workspaces/:id',
+    method: 'DELETE',
+    group: endpointGroups.TESTING,
+    description: 'Discards the workspace of an upload run that was kept with keep=true',
+    parameters: [],
+    returns: 'JSON object with the removed workspace ID (409 while a run still uses it)',
+    example: null
+  },
+  {
+    path: '/tests/all',
+    method: 'POST',
+    group: endpointGroups.TESTING,
+    description: 'Queues a run of every spec in a category. With shards > 1 the category is split with Playwright --shard into shard runs that go through the run queue, and their JSON reports are merged into one result on the run.',
+    parameters: [
+      { name: 'category', type: 'body', description: 'Category containing the specs (default: playwright)' },
+      { name: 'shards', type: 'body', description: 'Number of shards to split the run into (default: 1, max: 16)' },
+      { name: 'browsers', type: 'body', description: 'Browsers/device projects to run, as a list or comma-separated (default: chromium)' },
+      { name: 'testName', type: 'body', description: 'Title pattern (regular expression) of the tests to run (optional)' },
+      { name: 'tags', type: 'body', description: 'Run only tests with one of these tags, as a list or comma-separated, e.g. @smoke (optional)' },
+      { name: 'excludeTags', type: 'body', description: 'Leave out tests with any of these tags, e.g. @slow (optional)' },
+      { name: 'titles', type: 'body', description: 'Title regular expressions as a list (or one pattern); tests must match one (optional)' },
+      { name: 'files', type: 'body', description: 'Spec file globs relative to the category, e.g. checkout/**/*.spec.ts (optional)' },
+      { name: 'pattern', type: 'body', description: 'Older name of files, used when files is not given (optional)' },
+      { name: 'trace', type: 'body', description: 'Trace capture: off, on, retain-on-failure, on-first-retry; always off for runs with profile secrets (optional)' },
+      { name: 'video', type: 'body', description: 'Video capture: off, on, retain-on-failure, on-first-retry (optional)' },
+      { name: 'screenshot', type: 'body', description: 'Screenshot capture: off, on, only-on-failure (optional)' },
+      { name: 'baseURL', type: 'body', description: 'Base URL the specs resolve relative URLs against, e.g. a staging host (optional)' },
+      { name: 'viewport', type: 'body', description: 'Viewport as WIDTHxHEIGHT or { width, height }; wins over device viewports (optional)' },
+      { name: 'headless', type: 'body', description: 'Run browsers headless: true or false (default: from playwright.config.ts)' },
+      { name: 'retries', type: 'body', description: 'Retries of failed tests, 0-10 (optional)' },
+      { name: 'workers', type: 'body', description: 'Parallel worker processes, 1-16 (optional)' },
+      { name: 'testTimeout', type: 'body', description: 'Timeout of each test in ms; timeout limits the whole run (optional)' },
+      { name: 'locale', type: 'body', description: 'Browser locale such as de-DE (optional)' },
+      { name: 'timezone', type: 'body', description: 'IANA time zone such as Europe/Berlin (optional)' },
+      { name: 'envProfile', type: 'body', description: 'Environment profile whose variables and secrets the run gets (optional)' },
+      { name: 'env', type: 'body', description: 'Extra variables that override the profile, as an object (JSON string in query or form fields); not treated as secrets (optional)' },
+      { name: 'reporter', type: 'body', description: 'Reporter to use (default: json)' },
+      { name: 'priority', type: 'body', description: 'Queue priority of the run (or its shards); higher runs start first (default: 0)' },
+      { name: 'label', type: 'body', description: 'Free-form run label such as a commit SHA or branch (optional)' }
+    ],
+    returns: 'JSON object (202) with the run ID, status URL and, for sharded runs, the shard run IDs',
+    example: {
+      url: '/tests/all',
+      body: {
+        category: 'playwright',
+        shards: 4
+      },
+      description: 'Run the playwright category in 4 shards (set MAX_CONCURRENT_RUNS to 4 to run them in parallel)'
+    }
+  },
+  {
+    path: '/tests/runs',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Lists test runs with their state, timings, summary and queue position, plus run queue statistics',
+    parameters: [
+      { name: 'status', type: 'query', description: 'Filter by status (queued, running, passed, failed, error, cancelled)' },
+      { name: 'limit', type: 'query', description: 'Limit number of runs returned' }
+    ],
+    returns: 'JSON array of test runs',
+    example: {
+      url: '/tests/runs?status=failed&limit=5',
+      description: 'Get the 5 most recent failed runs'
+    }
+  },
+  {
+    path: '/tests/list',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Discovers tests with Playwright --list mode without running them. Returns a tree of spec files, describe blocks and tests with line numbers, tags and projects, plus errors of specs that failed to load.',
+    parameters: [
+      { name: 'category', type: 'query', description: 'Category to list (default: playwright)' },
+      { name: 'spec', type: 'query', description: 'Only list this spec file, relative to the category (optional)' },
+      { name: 'browsers', type: 'query', description: 'Projects to list the tests for, comma-separated (default: chromium)' }
+    ],
+    returns: 'JSON object with files, totalFiles, totalTests and load errors',
+    example: {
+      url: '/tests/list?category=playwright&spec=login.spec.ts',
+      description: 'List the describe blocks and tests of login.spec.ts'
+    }
+  },
+  {
+    path: '/tests/history',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Queries the persistent test run history',
+    parameters: [
+      { name: 'from', type: 'query', description: 'Only runs started at or after this date (ISO 8601)' },
+      { name: 'to', type: 'query', description: 'Only runs started at or before this date (ISO 8601)' },
+      { name: 'status', type: 'query', description: 'Filter by run status' },
+      { name: 'spec', type: 'query', description: 'Filter by spec file (substring match)' },
+      { name: 'project', type: 'query', description: 'Only runs that covered this Playwright project' },
+      { name: 'category', type: 'query', description: 'Filter by test category' },
+      { name: 'label', type: 'query', description: 'Filter by run label' },
+      { name: 'triggeredBy', type: 'query', description: 'Filter by who triggered the run' },
+      { name: 'parentRunId', type: 'query', description: 'Only runs derived from this run (e.g. re-runs of its failures)' },
+      { name: 'scheduleId', type: 'query', description: 'Only runs created by this schedule' },
+      { name: 'clusterId', type: 'query', description: 'Only runs with failures of this error signature (the id of a failure cluster)' },
+      { name: 'page', type: 'query', description: 'Page number (default: 1)' },
+      { name: 'pageSize', type: 'query', description: 'Entries per page (default: 20, max: 200)' }
+    ],
+    returns: 'JSON object with a page of history entries and pagination info',
+    example: {
+      url: '/tests/history?status=failed&spec=login&from=2025-01-01&page=1&pageSize=10',
+      description: 'Get the first 10 failed runs of login specs since January 1st, 2025'
+    }
+  },
+  {
+    path: '/tests/flaky',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Ranks tests by their pass/fail flip rate over recent runs; tests at or above the threshold are tagged as known flaky in new results',
+    parameters: [
+      { name: 'runs', type: 'query', description: 'Number of most recent finished runs to analyze (default: FLAKY_WINDOW)' },
+      { name: 'threshold', type: 'query', description: 'Flip rate (0-1) at which a test counts as known flaky (default: FLAKY_THRESHOLD)' },
+      { name: 'minRuns', type: 'query', description: 'Minimum number of runs a test must appear in to be ranked (default: 3)' },
+      { name: 'category', type: 'query', description: 'Only analyze runs of this category' },
+      { name: 'project', type: 'query', description: 'Only analyze results of this Playwright project' }
+    ],
+    returns: 'JSON object with the analyzed window and tests ranked by flip rate',
+    example: {
+      url: '/tests/flaky?runs=50&threshold=0.2',
+      description: 'Rank tests over the last 50 runs, flagging those that flip in at least 20% of consecutive runs'
+    }
+  },
+  {
+    path: '/tests/compare',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Compares the final results of two finished runs: tests that newly failed, were fixed, still fail, were added or removed, and passing tests whose duration regressed. Retries are collapsed into the final attempt; skipped tests count as unchanged.',
+    parameters: [
+      { name: 'base', type: 'query', description: 'Run ID to compare against (required)' },
+      { name: 'head', type: 'query', description: 'Run ID to compare (required)' },
+      { name: 'durationThreshold', type: 'query', description: 'Relative slowdown that counts as a duration regression (default: 0.5 = 50%)' },
+      { name: 'minDurationDelta', type: 'query', description: 'Minimum slowdown in milliseconds for a duration regression (default: 100)' },
+      { name: 'project', type: 'query', description: 'Only compare results of this Playwright project' }
+    ],
+    returns: 'JSON object with both runs, counts per change and the changed tests',
+    example: {
+      url: '/tests/compare?base=:baseRunId&head=:headRunId&durationThreshold=0.25',
+      description: 'Compare the runs before and after a deploy, flagging tests that got 25% slower'
+    }
+  },
+  {
+    path: '/tests/quarantine',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Lists quarantined tests, which runs exclude automatically',
+    parameters: [
+      { name: 'includeExpired', type: 'query', description: 'Also list entries whose expiry has passed (default: false)' }
+    ],
+    returns: 'JSON object with the quarantine entries',
+    example: null
+  },
+  {
+    path: '/tests/quarantine',
+    method: 'POST',
+    group: endpointGroups.TESTING,
+    description: 'Quarantines a test so runs exclude it via --grep-invert (updates the entry if the test is already quarantined). Run results list the excluded tests under "quarantined".',
+    parameters: [
+      { name: 'specFile', type: 'body', description: 'Spec file path relative to the Playwright test directory (required)' },
+      { name: 'title', type: 'body', description: 'Test title (required)' },
+      { name: 'reason', type: 'body', description: 'Why the test is quarantined (required)' },
+      { name: 'expiresAt', type: 'body', description: 'ISO 8601 date after which the test runs again (optional)' }
+    ],
+    returns: 'JSON object with the quarantine entry (201 when created, 200 when updated)',
+    example: {
+      url: '/tests/quarantine',
+      body: { specFile: 'login.spec.ts', title: 'logs in with SSO', reason: 'SSO sandbox is down', expiresAt: '2025-07-01T00:00:00Z' },
+      description: 'Park the SSO login test until July 1st, 2025'
+    }
+  },
+  {
+    path: '/tests/env-profiles',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Lists the environment profiles runs can select. Secret values are write-only and shown as ***.',
+    parameters: [],
+    returns: 'JSON object with the profiles',
+    example: null
+  },
+  {
+    path: '/tests/env-profiles/:name',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Gets an environment profile with its variables and masked secrets',
+    parameters: [],
+    returns: 'JSON object with the profile',
+    example: null
+  },
+  {
+    path: '/tests/env-profiles/:name',
+    method: 'PUT',
+    group: endpointGroups.TESTING,
+    description: 'Creates or updates an environment profile. Variables and secrets are merged into an existing profile and a null value removes a name. Secrets are encrypted at rest and masked in run output, logs and saved results. Runs with secrets get no HTML report and no trace, because both hold test output as zipped data that cannot be masked; videos and screenshots are not rewritten either.',
+    parameters: [
+      { name: 'description', type: 'body', description: 'What the profile is for (optional)' },
+      { name: 'variables', type: 'body', description: 'Plain variables as an object of names and values (optional)' },
+      { name: 'secrets', type: 'body', description: 'Secret variables as an object of names and values (optional)' }
+    ],
+    returns: 'JSON object (201 when created) with the profile and masked secrets',
+    example: {
+      url: '/tests/env-profiles/staging',
+      body: {
+        description: 'Staging environment',
+        variables: { BASE_URL: 'https://staging.example.com', FEATURE_NEW_CHECKOUT: 'true' },
+        secrets: { TEST_USER_PASSWORD: 'hunter2' }
+      },
+      description: 'Create a staging profile, then run with envProfile=staging'
+    }
+  },
+  {
+    path: '/tests/env-profiles/:name',
+    method: 'DELETE',
+    group: endpointGroups.TESTING,
+    description: 'Deletes an environment profile',
+    parameters: [],
+    returns: 'JSON object with the deleted profile name',
+    example: null
+  },
+  {
+    path: '/tests/quarantine/:id',
+    method: 'DELETE',
+    group: endpointGroups.TESTING,
+    description: 'Releases a test from quarantine by entry ID, or by spec file and title when no ID is given',
+    parameters: [
+      { name: 'specFile', type: 'query', description: 'Spec file of the test (when no ID is given)' },
+      { name: 'title', type: 'query', description: 'Title of the test (when no ID is given)' }
+    ],
+    returns: 'JSON object with the removed entry',
+    example: null
+  },
+  {
+    path: '/tests/runs/:id',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Gets the state, timings, summary and results of a test run (falls back to the run history for older runs). "failureClusters" groups the failed tests by normalized error signature (error type and message without IDs, numbers and timeouts, locator, top stack frame), largest group first.',
+    parameters: [
+      { name: 'includeResults', type: 'query', description: 'Include per-test results (default: true)' },
+      { name: 'includeFullReport', type: 'query', description: 'Include the full Playwright JSON report (default: false)' }
+    ],
+    returns: 'JSON object with the run record',
+    example: null
+  },
+  {
+    path: '/tests/runs/:id',
+    method: 'DELETE',
+    group: endpointGroups.TESTING,
+    description: 'Cancels a queued or running test run, stopping its Playwright process tree and keeping partial results',
+    parameters: [],
+    returns: 'JSON object with the cancelled run ID and status URL',
+    example: null
+  },
+  {
+    path: '/tests/runs/:id/rerun-failed',
+    method: 'POST',
+    group: endpointGroups.TESTING,
+    description: 'Queues a run of only the tests whose final attempt failed in a finished run; the new run is linked to it through parentRunId',
+    parameters: [
+      { name: 'priority', type: 'query', description: 'Queue priority, higher starts first (default: 0)' },
+      { name: 'label', type: 'query', description: "Label for the new run (default: the original run's label)" }
+    ],
+    returns: 'JSON object (202) with the new run ID, its parent run ID and the re-run tests',
+    example: {
+      url: '/tests/runs/3f2b9c1e-8d4a-4f7e-9a61-2c5d8e7f1a90/rerun-failed?priority=5',
+      description: 'Retry the failures of a run ahead of other queued runs'
+    }
+  },
+  {
+    path: '/tests/runs/:id/artifacts',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Lists the trace, video and screenshot files captured by a run with their download URLs',
+    parameters: [],
+    returns: 'JSON object with the artifact paths, sizes and URLs',
+    example: null
+  },
+  {
+    path: '/tests/runs/:id/artifacts/*',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Downloads a file from the artifacts folder of a run. The "attachments" of each result in a run link here.',
+    parameters: [],
+    returns: 'The artifact file (e.g. trace.zip, video.webm, test-failed-1.png)',
+    example: null
+  },
+  {
+    path: '/tests/runs/:id/export',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Exports a finished run from its saved Playwright JSON report, without re-running it: JUnit XML for CI tools, a Markdown summary to paste into a pull request, or CSV with one row per test and project. Retries are collapsed into the final attempt.',
+    parameters: [
+      { name: 'format', type: 'query', description: 'junit (or xml), markdown (or md), or csv (required)' },
+      { name: 'download', type: 'query', description: 'Send as a file attachment named run-<id>.<ext> (default: false)' }
+    ],
+    returns: 'The export as application/xml, text/markdown or text/csv',
+    example: {
+      url: '/tests/runs/:id/export?format=markdown',
+      description: 'Get a Markdown summary of a run for a pull request comment'
+    }
+  },
+  {
+    path: '/tests/runs/:id/stream',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Streams Playwright output and per-test results of a run via Server-Sent Events (SSE), replaying buffered output first',
+    parameters: [
+      { name: 'types', type: 'query', description: 'Comma-separated event types to send (status, output, result, run-begin, run-end)' }
+    ],
+    returns: 'SSE stream of run events, closed after the "end" event',
+    example: {
+      url: '/tests/runs/:id/stream?types=result',
+      description: 'Stream only per-test results of a run'
+    }
+  },
+  {
+    path: '/schedules',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Lists the schedules that queue recurring test runs, with their next and last fire times',
+    parameters: [],
+    returns: 'JSON object with the schedules',
+    example: null
+  },
+  {
+    path: '/schedules',
+    method: 'POST',
+    group: endpointGroups.TESTING,
+    description: 'Creates a schedule that queues a test run at cron times (server local time). Schedules persist across restarts; fire times missed while the server was down are skipped, and a fire time is skipped while the previous run of the schedule is still queued or running.',
+    parameters: [
+      { name: 'name', type: 'body', description: 'Display name (required)' },
+      { name: 'cron', type: 'body', description: 'Cron expression (minute hour day-of-month month day-of-week) or a macro such as @hourly or @daily (required)' },
+      { name: 'category', type: 'body', description: 'Category to run (default: playwright)' },
+      { name: 'testFile', type: 'body', description: 'Spec file in the category; the whole category runs when not given' },
+      { name: 'options', type: 'body', description: 'Run parameters as accepted by POST /tests/all, e.g. browsers, tags, envProfile, baseURL (optional)' },
+      { name: 'priority', type: 'body', description: 'Queue priority of the runs (default: 0)' },
+      { name: 'label', type: 'body', description: 'Label of the runs' },
+      { name: 'shards', type: 'body', description: 'Split category runs into this many shards (default: 1)' },
+      { name: 'enabled', type: 'body', description: 'Whether the schedule fires (default: true)' }
+    ],
+    returns: 'JSON object with the created schedule (201)',
+    example: {
+      url: '/schedules',
+      body: { name: 'Nightly smoke', cron: '0 2 * * 1-5', options: { tags: '@smoke', browsers: 'chromium,firefox' }, label: 'nightly' },
+      description: 'Run the smoke tests on Chromium and Firefox at 02:00 on weekdays'
+    }
+  },
+  {
+    path: '/schedules/:id',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Gets a schedule with its next and last fire times and the ID of its last run',
+    parameters: [],
+    returns: 'JSON object with the schedule',
+    example: null
+  },
+  {
+    path: '/schedules/:id',
+    method: 'PUT',
+    group: endpointGroups.TESTING,
+    description: 'Updates a schedule; fields that are not given keep their value and "options" replaces the run options as a whole. Set enabled to false to pause it.',
+    parameters: [
+      { name: 'name, cron, category, testFile, options, priority, label, shards, enabled', type: 'body', description: 'As for POST /schedules' }
+    ],
+    returns: 'JSON object with the updated schedule',
+    example: {
+      url: '/schedules/:id',
+      body: { enabled: false },
+      description: 'Pause a schedule'
+    }
+  },
+  {
+    path: '/schedules/:id',
+    method: 'DELETE',
+    group: endpointGroups.TESTING,
+    description: 'Deletes a schedule; the runs it created stay in the history',
+    parameters: [],
+    returns: 'JSON object with the deleted schedule',
+    example: null
+  },
+  {
+    path: '/schedules/:id/run',
+    method: 'POST',
+    group: endpointGroups.TESTING,
+    description: 'Queues a run of the schedule now, outside its cron times (409 while its previous run is still queued or running)',
+    parameters: [],
+    returns: 'JSON object with the run ID and status URL (202 Accepted)',
+    example: null
+  },
+  {
+    path: '/schedules/:id/runs',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Lists the runs a schedule created, newest first, from the persistent run history',
+    parameters: [
+      { name: 'status, from, to, page, pageSize', type: 'query', description: 'As for GET /tests/history' }
+    ],
+    returns: 'JSON object with a page of history entries and pagination info',
+    example: null
+  },
+  {
+    path: '/webhooks',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Lists the webhooks notified when runs finish',
+    parameters: [],
+    returns: 'JSON object with the webhooks',
+    example: null
+  },
+  {
+    path: '/webhooks',
+    method: 'POST',
+    group: endpointGroups.TESTING,
+    description: 'Creates a webhook. When a matching run finishes, its URL receives a JSON POST with the run, the summary, the failed tests and absolute report URLs (based on PUBLIC_URL). Failed deliveries are retried WEBHOOK_MAX_ATTEMPTS times in all with exponential backoff. Shard runs are left out; their sharded run notifies once merged.',
+    parameters: [
+      { name: 'name', type: 'body', description: 'Display name (required)' },
+      { name: 'url', type: 'body', description: 'http or https URL the payload is POSTed to (required)' },
+      { name: 'onlyOnFailure', type: 'body', description: 'Only notify for failed and errored runs (default: false)' },
+      { name: 'categories', type: 'body', description: 'Only notify for runs of these categories, as a list or comma-separated (default: all)' },
+      { name: 'enabled', type: 'body', description: 'Whether the webhook is notified (default: true)' }
+    ],
+    returns: 'JSON object with the created webhook (201)',
+    example: {
+      url: '/webhooks',
+      body: { name: 'Team chat', url: 'https://chat.example.com/hooks/qa', onlyOnFailure: true, categories: ['playwright'] },
+      description: 'Notify the team chat when a Playwright run fails'
+    }
+  },
+  {
+    path: '/webhooks/deliveries',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Lists the delivery log of all webhooks, newest first, with the status code and error of every attempt',
+    parameters: [
+      { name: 'webhookId', type: 'query', description: 'Only deliveries to this webhook' },
+      { name: 'runId', type: 'query', description: 'Only deliveries about this run' },
+      { name: 'status', type: 'query', description: 'pending, delivered or failed' },
+      { name: 'limit', type: 'query', description: 'Maximum number of deliveries (default: 50)' }
+    ],
+    returns: 'JSON object with the deliveries',
+    example: {
+      url: '/webhooks/deliveries?status=failed',
+      description: 'List deliveries that failed after all attempts'
+    }
+  },
+  {
+    path: '/webhooks/:id',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Gets a webhook',
+    parameters: [],
+    returns: 'JSON object with the webhook',
+    example: null
+  },
+  {
+    path: '/webhooks/:id',
+    method: 'PUT',
+    group: endpointGroups.TESTING,
+    description: 'Updates a webhook; fields that are not given keep their value',
+    parameters: [
+      { name: 'name, url, onlyOnFailure, categories, enabled', type: 'body', description: 'As for POST /webhooks' }
+    ],
+    returns: 'JSON object with the updated webhook',
+    example: null
+  },
+  {
+    path: '/webhooks/:id',
+    method: 'DELETE',
+    group: endpointGroups.TESTING,
+    description: 'Deletes a webhook; its deliveries stay in the log and pending retries stop',
+    parameters: [],
+    returns: 'JSON object with the deleted webhook',
+    example: null
+  },
+  {
+    path: '/webhooks/:id/test',
+    method: 'POST',
+    group: endpointGroups.TESTING,
+    description: 'Sends a "ping" payload to a webhook regardless of its filters, to check the receiver',
+    parameters: [],
+    returns: 'JSON object with the delivery after its first attempt',
+    example: null
+  },
+  {
+    path: '/webhooks/:id/deliveries',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Lists the delivery log of a webhook, newest first',
+    parameters: [
+      { name: 'runId, status, limit', type: 'query', description: 'As for GET /webhooks/deliveries' }
+    ],
+    returns: 'JSON object with the deliveries',
+    example: null
+  },
   {
     path: '/reports',
     method: 'GET',
     group: endpointGroups.TESTING,
     description: 'Accesses the latest Playwright HTML report',
     parameters: [],
-    returns: 'HTML report or JSON list of available reports',
+    returns: 'HTML report or JSON list of available reports, including per-run HTML reports with their summaries',
+    example: null
+  },
+  {
+    path: '/reports/runs/:id/',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Serves the HTML report of a single test run (older reports are pruned beyond HTML_REPORT_RETENTION)',
+    parameters: [],
+    returns: 'Playwright HTML report',
     example: null
   },
+  {
+    path: '/reports/dashboard',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Test trend dashboard computed from the run history: pass rate and duration per run, top failing tests and top flaky tests. The page has no external dependencies.',
+    parameters: [
+      { name: 'runs', type: 'query', description: 'Number of most recent finished runs (default: 50, max: 500)' },
+      { name: 'category', type: 'query', description: 'Only runs of this category (optional)' },
+      { name: 'format', type: 'query', description: '"json" for the dashboard data instead of the page (optional)' }
+    ],
+    returns: 'HTML page, or JSON object with the per-run points, totals, top failing and top flaky tests',
+    example: {
+      url: '/reports/dashboard?category=smoke&runs=30',
+      description: 'Trends of the last 30 smoke runs'
+    }
+  },
+  {
+    path: '/reports/badge/:category.svg',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'SVG status badge (passing or failed count, and pass rate) of the latest finished run of a category or schedule, for embedding in wikis. ":category" is a category, schedule ID or schedule name (schedules take precedence). Cached for 60 seconds.',
+    parameters: [
+      { name: 'label', type: 'query', description: 'Text of the left side of the badge (default: the category or schedule name)' }
+    ],
+    returns: 'SVG image; a grey "no runs" badge if nothing ran yet',
+    example: {
+      url: '/reports/badge/smoke.svg',
+      description: 'Badge of the latest smoke run'
+    }
+  },
+  {
+    path: '/reports/trace',
+    method: 'GET',
+    group: endpointGroups.TESTING,
+    description: 'Opens a stored trace of a run in the built-in Playwright trace viewer (served under /reports/trace-viewer/). Lists the matching traces when several tests match.',
+    parameters: [
+      { name: 'run', type: 'query', description: 'Run ID (required)' },
+      { name: 'test', type: 'query', description: 'Test title or "suite › title" (optional when the run has a single trace)' },
+      { name: 'project', type: 'query', description: 'Playwright project of the test (optional)' }
+    ],
+    returns: 'Redirect to the trace viewer, or JSON object with the matching traces and their viewer URLs',
+    example: {
+      url: '/reports/trace?run=3f2b9c1e-8d4a-4f7e-9a61-2c5d8e7f1a90&test=logs%20in%20with%20SSO',
+      description: 'Open the trace of the "logs in with SSO" test'
+    }
+  },
   
   // Scraping endpoints
   {
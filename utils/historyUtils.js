@@ -0,0 +1,213 @@
+const fileUtils = require("./fileUtils");
+const properties = require("./properties");
+const requestUtils = require("./requestUtils");
+
+/**
+ * Configuration for the test run history store
+ */
+const config = {
+  HISTORY_CATEGORY: properties.CATEGORIES.REPORTS,
+  HISTORY_FILE: "run-history.json",
+  MAX_HISTORY_ENTRIES: 5000, // Oldest entries are dropped beyond this
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 200,
+  MAX_ENTRY_CLUSTERS: 10, // Largest failure clusters kept per entry; the run's saved summary has all of them
+  FILTERS: ["from", "to", "status", "spec", "project", "category", "label", "triggeredBy", "parentRunId", "scheduleId", "clusterId"]
+};
+
+// In-memory copy of the history file, loaded on first use
+const historyStore = fileUtils.createJsonStore({
+  category: config.HISTORY_CATEGORY,
+  fileName: config.HISTORY_FILE,
+  key: "entries",
+  description: "test run history",
+  upgrade: entries => entries.map(upgradeEntry)
+});
+
+/**
+ * Upgrades an entry recorded before file globs were kept apart from the spec file.
+ * Directory runs then stored a file pattern as spec file that was never applied.
+ * @param {Object} entry - History entry
+ * @returns {Object} - Entry with fileGlobs
+ */
+function upgradeEntry(entry) {
+  if ("fileGlobs" in entry) {
+    return entry;
+  }
+
+  const isDirectoryRun = ["all", "shard"].includes(entry.type);
+  return { ...entry, specFile: isDirectoryRun ? null : entry.specFile, fileGlobs: null };
+}
+
+/**
+ * Loads the history file into memory (once)
+ * @returns {Promise<Array>} - History entries, oldest first
+ */
+function loadHistory() {
+  return historyStore.load();
+}
+
+/**
+ * Builds a history entry from a run record
+ * @param {Object} run - Run record from testJobUtils
+ * @returns {Object} - History entry
+ */
+function buildHistoryEntry(run) {
+  const summary = run.summary || {};
+
+  return {
+    runId: run.id,
+    type: run.type,
+    status: run.status,
+    specFile: run.testFile || null,
+    fileGlobs: run.testPattern || null, // Spec file globs a directory run was narrowed to
+    category: run.category || null,
+    projects: getRunProjects(run),
+    label: run.label || null,
+    triggeredBy: run.triggeredBy || null,
+    parentRunId: run.parentRunId || null,
+    scheduleId: run.scheduleId || null,
+    createdAt: run.createdAt,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    duration: run.duration,
+    counts: {
+      total: summary.total || 0,
+      passed: summary.passed || 0,
+      failed: summary.failed || 0,
+      skipped: summary.skipped || 0,
+      flaky: summary.flaky || 0,
+      quarantined: summary.quarantined || 0
+    },
+    failureClusters: (run.failureClusters || []).slice(0, config.MAX_ENTRY_CLUSTERS).map(cluster => ({
+      id: cluster.id,
+      signature: cluster.signature,
+      count: cluster.count
+    })),
+    outputPath: run.outputPath || null,
+    reportUrl: run.reportUrl || null,
+    error: run.error || null
+  };
+}
+
+/**
+ * Records a finished run in the history (replacing any previous entry for it)
+ * @param {Object} run - Run record from testJobUtils
+ * @returns {Promise<Object>} - The stored history entry
+ */
+async function recordRun(run) {
+  const entries = await loadHistory();
+  const entry = buildHistoryEntry(run);
+
+  const index = entries.findIndex(existing => existing.runId === entry.runId);
+  if (index !== -1) {
+    entries[index] = entry;
+  } else {
+    entries.push(entry);
+  }
+
+  // Trim history if it exceeds the limit
+  if (entries.length > config.MAX_HISTORY_ENTRIES) {
+    entries.splice(0, entries.length - config.MAX_HISTORY_ENTRIES);
+  }
+
+  await historyStore.persist();
+  return entry;
+}
+
+/**
+ * Gets the history entry of a run
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} - History entry or null if not found
+ */
+async function getHistoryEntry(runId) {
+  const entries = await loadHistory();
+  return entries.find(entry => entry.runId === runId) || null;
+}
+
+/**
+ * Parses a date filter value
+ * @param {string} value - Date string
+ * @returns {number|null|NaN} - Timestamp, null if not given, NaN if invalid
+ */
+function parseDateFilter(value) {
+  if (!value) {
+    return null;
+  }
+
+  return new Date(value).getTime();
+}
+
+/**
+ * Queries the run history, newest first
+ * @param {Object} options - Query options
+ * @param {string} options.from - Only runs started at or after this date
+ * @param {string} options.to - Only runs started at or before this date
+ * @param {string} options.status - Filter by run status
+ * @param {string} options.spec - Filter by spec file (substring match)
+ * @param {string} options.project - Only runs that covered this Playwright project
+ * @param {string} options.category - Filter by test category
+ * @param {string} options.label - Filter by run label
+ * @param {string} options.triggeredBy - Filter by who triggered the run
+ * @param {string} options.parentRunId - Only runs derived from this run (e.g. re-runs of its failures)
+ * @param {string} options.scheduleId - Only runs created by this schedule
+ * @param {string} options.clusterId - Only runs with failures of this error signature
+ * @param {number} options.page - Page number, starting at 1
+ * @param {number} options.pageSize - Entries per page
+ * @returns {Promise<Object>} - Page of entries or error with HTTP code
+ */
+async function queryHistory(options = {}) {
+  const invalidFilter = requestUtils.validateSingleValues(options, config.FILTERS);
+  if (invalidFilter) {
+    return invalidFilter;
+  }
+
+  const from = parseDateFilter(options.from);
+  const to = parseDateFilter(options.to);
+
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: "Invalid date range. Use ISO 8601 dates for 'from' and 'to'.", code: 400 };
+  }
+
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(options.pageSize, 10) || config.DEFAULT_PAGE_SIZE, 1), config.MAX_PAGE_SIZE);
+
+  const entries = await loadHistory();
+
+  const filtered = entries
+    .filter(entry => {
+      const started = new Date(entry.startedAt || entry.createdAt).getTime();
+
+      if (from !== null && started < from) return false;
+      if (to !== null && started > to) return false;
+      if (options.status && entry.status !== options.status) return false;
+      if (options.spec && !(entry.specFile || "").toLowerCase().includes(options.spec.toLowerCase())) return false;
+      if (options.project && !(entry.projects || []).includes(options.project)) return false;
+      if (options.category && entry.category !== options.category) return false;
+      if (options.label && entry.label !== options.label) return false;
+      if (options.triggeredBy && entry.triggeredBy !== options.triggeredBy) return false;
+      if (options.parentRunId && entry.parentRunId !== options.parentRunId) return false;
+      if (options.scheduleId && entry.scheduleId !== options.scheduleId) return false;
+      if (options.clusterId && !(entry.failureClusters || []).some(cluster => cluster.id === options.clusterId)) return false;
+
+      return true;
+    })
+    .reverse();
+
+  return {
+    success: true,
+    total: filtered.length,
+    page,
+    pageSize,
+    totalPages: Math.ceil(filtered.length / pageSize),
+    entries: filtered.slice((page - 1) * pageSize, page * pageSize)
+  };
+}
+
+module.exports = {
+  recordRun,
+  getHistoryEntry,
+  queryHistory,
+  loadHistory,
+  config
+};
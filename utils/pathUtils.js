@@ -21,6 +21,7 @@ const config = {
     TEMP: 'temp',
     PLAYWRIGHT: 'playwright',
     DOCS: 'docs',
+    RUNS: 'runs',
   },
 
   // Characters not allowed in path components
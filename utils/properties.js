@@ -17,7 +17,17 @@ const defaultConfig = {
   TEST_TIMEOUT: 180000, // 3 minutes
   SCRAPE_TIMEOUT: 30000, // 30 seconds
   FORMAT_TIMEOUT: 60000, // 1 minute
-  IN_MEMORY_LOG_LIMIT: 1000
+  IN_MEMORY_LOG_LIMIT: 1000,
+  MAX_CONCURRENT_RUNS: 1,
+  HTML_REPORT_RETENTION: 20, // Number of most recent per-run HTML reports to keep
+  FLAKY_WINDOW: 20, // Number of recent runs analyzed for flakiness
+  FLAKY_THRESHOLD: 0.3, // Flip rate at which a test counts as known flaky
+  SECRETS_KEY: null, // Key for environment profile secrets; a random key file is used when not set
+  SECRETS_KEY_FILE: path.resolve(__dirname, "../.secrets.key"),
+  PUBLIC_URL: null, // Base URL of the server in webhook payloads and exports; http://HOST:PORT when not set
+  WEBHOOK_TIMEOUT: 10000, // 10 seconds per delivery attempt
+  WEBHOOK_MAX_ATTEMPTS: 4, // Delivery attempts before a webhook delivery counts as failed
+  WEBHOOK_RETRY_DELAY: 5000 // Delay before the first retry; doubled on each further retry
 };
 
 
@@ -48,6 +58,19 @@ const config = {
   SCRAPE_TIMEOUT: Number(process.env.SCRAPE_TIMEOUT || defaultConfig.SCRAPE_TIMEOUT),
   FORMAT_TIMEOUT: Number(process.env.FORMAT_TIMEOUT || defaultConfig.FORMAT_TIMEOUT),
   
+  MAX_CONCURRENT_RUNS: Number(process.env.MAX_CONCURRENT_RUNS || defaultConfig.MAX_CONCURRENT_RUNS),
+  HTML_REPORT_RETENTION: Number(process.env.HTML_REPORT_RETENTION || defaultConfig.HTML_REPORT_RETENTION),
+  FLAKY_WINDOW: Number(process.env.FLAKY_WINDOW || defaultConfig.FLAKY_WINDOW),
+  FLAKY_THRESHOLD: Number(process.env.FLAKY_THRESHOLD || defaultConfig.FLAKY_THRESHOLD),
+  
+  SECRETS_KEY: process.env.SECRETS_KEY || defaultConfig.SECRETS_KEY,
+  SECRETS_KEY_FILE: process.env.SECRETS_KEY_FILE ? path.resolve(process.env.SECRETS_KEY_FILE) : defaultConfig.SECRETS_KEY_FILE,
+  
+  PUBLIC_URL: process.env.PUBLIC_URL || defaultConfig.PUBLIC_URL,
+  WEBHOOK_TIMEOUT: Number(process.env.WEBHOOK_TIMEOUT || defaultConfig.WEBHOOK_TIMEOUT),
+  WEBHOOK_MAX_ATTEMPTS: Number(process.env.WEBHOOK_MAX_ATTEMPTS || defaultConfig.WEBHOOK_MAX_ATTEMPTS),
+  WEBHOOK_RETRY_DELAY: Number(process.env.WEBHOOK_RETRY_DELAY || defaultConfig.WEBHOOK_RETRY_DELAY),
+  
   CATEGORIES: {
     LOGS: "logs",
     REPORTS: "reports",
@@ -59,9 +82,13 @@ const config = {
     TEMP: "temp",
     PLAYWRIGHT: "playwright",
     DOCS: "docs",
+    RUNS: "runs",
   }
 };
 
+// Links handed to other systems (e.g. in webhook payloads) need an absolute base URL
+config.PUBLIC_URL = (config.PUBLIC_URL || `http://${config.HOST}:${config.PORT}`).replace(/\/+$/, "");
+
 // Validate numeric settings
 Object.entries(config).forEach(([key, value]) => {
   if (typeof value === 'number' && isNaN(value)) {
@@ -70,6 +97,14 @@ Object.entries(config).forEach(([key, value]) => {
   }
 });
 
+// Validate settings that must be whole numbers of at least 1 (no runs would start otherwise)
+["MAX_CONCURRENT_RUNS"].forEach(key => {
+  if (!Number.isInteger(config[key]) || config[key] < 1) {
+    console.log(`Invalid value for ${key} (must be a whole number of at least 1), using default: ${defaultConfig[key]}`);
+    config[key] = defaultConfig[key];
+  }
+});
+
 // Check for non-existent but important directories
 try {
   if (!fs.existsSync(config.BASE_DIR)) {
@@ -0,0 +1,170 @@
+const crypto = require("crypto");
+const fileUtils = require("./fileUtils");
+const properties = require("./properties");
+const logger = require("./logUtils");
+
+/**
+ * Configuration for the test quarantine registry
+ */
+const config = {
+  QUARANTINE_CATEGORY: properties.CATEGORIES.REPORTS,
+  QUARANTINE_FILE: "quarantine.json",
+  MAX_REASON_LENGTH: 500
+};
+
+// In-memory copy of the quarantine file, loaded on first use
+const quarantineStore = fileUtils.createJsonStore({
+  category: config.QUARANTINE_CATEGORY,
+  fileName: config.QUARANTINE_FILE,
+  key: "entries",
+  description: "the test quarantine"
+});
+
+/**
+ * Normalizes a spec file path so entries compare regardless of separators
+ * @param {string} specFile - Spec file path relative to the test directory
+ * @returns {string} - Normalized path
+ */
+function normalizeSpecFile(specFile) {
+  return String(specFile).trim().replace(/\\/g, "/").replace(/^\.\//, "");
+}
+
+/**
+ * Checks whether a quarantine entry has expired
+ * @param {Object} entry - Quarantine entry
+ * @param {number} now - Current timestamp
+ * @returns {boolean} - Whether the entry has expired
+ */
+function isExpired(entry, now = Date.now()) {
+  return Boolean(entry.expiresAt) && new Date(entry.expiresAt).getTime() <= now;
+}
+
+/**
+ * Lists quarantine entries
+ * @param {Object} options - List options
+ * @param {boolean} options.includeExpired - Include entries whose expiry has passed
+ * @returns {Promise<Array>} - Entries with an `expired` flag
+ */
+async function listQuarantine(options = {}) {
+  const entries = await quarantineStore.load();
+  const now = Date.now();
+
+  return entries
+    .map(entry => ({ ...entry, expired: isExpired(entry, now) }))
+    .filter(entry => options.includeExpired || !entry.expired);
+}
+
+/**
+ * Gets the active (not expired) quarantine entries
+ * @returns {Promise<Array>} - Active entries
+ */
+async function getActiveQuarantine() {
+  return listQuarantine({ includeExpired: false });
+}
+
+/**
+ * Adds a test to the quarantine, or updates the reason and expiry of an existing entry
+ * @param {Object} params - Entry parameters
+ * @param {string} params.specFile - Spec file path relative to the test directory
+ * @param {string} params.title - Test title
+ * @param {string} params.reason - Why the test is quarantined
+ * @param {string} params.expiresAt - Optional ISO 8601 date after which the test runs again
+ * @param {string} params.createdBy - Who quarantined the test
+ * @returns {Promise<Object>} - Entry with a `created` flag, or error with HTTP code
+ */
+async function addToQuarantine(params = {}) {
+  if (!params.specFile || !params.title) {
+    return { error: "Both 'specFile' and 'title' are required", code: 400 };
+  }
+
+  if (!params.reason || typeof params.reason !== "string") {
+    return { error: "A 'reason' is required", code: 400 };
+  }
+
+  if (params.reason.length > config.MAX_REASON_LENGTH) {
+    return { error: `Reason must be at most ${config.MAX_REASON_LENGTH} characters`, code: 400 };
+  }
+
+  let expiresAt = null;
+  if (params.expiresAt) {
+    const expiry = new Date(params.expiresAt);
+
+    if (Number.isNaN(expiry.getTime())) {
+      return { error: "Invalid 'expiresAt'. Use an ISO 8601 date.", code: 400 };
+    }
+
+    if (expiry.getTime() <= Date.now()) {
+      return { error: "'expiresAt' must be in the future", code: 400 };
+    }
+
+    expiresAt = expiry.toISOString();
+  }
+
+  const entries = await quarantineStore.load();
+  const specFile = normalizeSpecFile(params.specFile);
+  const title = String(params.title).trim();
+
+  const existing = entries.find(entry => entry.specFile === specFile && entry.title === title);
+  if (existing) {
+    existing.reason = params.reason;
+    existing.expiresAt = expiresAt;
+    existing.updatedAt = new Date().toISOString();
+    await quarantineStore.persist();
+    return { entry: existing, created: false };
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    specFile,
+    title,
+    reason: params.reason,
+    expiresAt,
+    createdBy: params.createdBy || null,
+    createdAt: new Date().toISOString(),
+    updatedAt: null
+  };
+
+  entries.push(entry);
+  await quarantineStore.persist();
+  logger.info(`Quarantined test "${title}" in ${specFile}: ${params.reason}`);
+
+  return { entry, created: true };
+}
+
+/**
+ * Removes a test from the quarantine
+ * @param {Object} params - Either the entry ID or the spec file and title
+ * @param {string} params.id - Entry ID
+ * @param {string} params.specFile - Spec file path relative to the test directory
+ * @param {string} params.title - Test title
+ * @returns {Promise<Object>} - Removed entry, or error with HTTP code
+ */
+async function removeFromQuarantine(params = {}) {
+  if (!params.id && !(params.specFile && params.title)) {
+    return { error: "Either an entry ID or both 'specFile' and 'title' are required", code: 400 };
+  }
+
+  const entries = await quarantineStore.load();
+  const index = params.id
+    ? entries.findIndex(entry => entry.id === params.id)
+    : entries.findIndex(entry => entry.specFile === normalizeSpecFile(params.specFile) && entry.title === String(params.title).trim());
+
+  if (index === -1) {
+    return { error: "Quarantine entry not found", code: 404 };
+  }
+
+  const [entry] = entries.splice(index, 1);
+  await quarantineStore.persist();
+  logger.info(`Released test "${entry.title}" in ${entry.specFile} from quarantine`);
+
+  return { entry };
+}
+
+module.exports = {
+  listQuarantine,
+  getActiveQuarantine,
+  addToQuarantine,
+  removeFromQuarantine,
+  normalizeSpecFile,
+  config
+};
@@ -0,0 +1,34 @@
+/**
+ * Configuration for request helpers
+ */
+const config = {
+  REQUESTER_HEADER: "X-Triggered-By" // Names the user or system behind a request
+};
+
+/**
+ * Checks that parameters hold at most one value.
+ * Express parses a repeated query parameter (?spec=a&spec=b) into an array.
+ * @param {Object} params - Request query or body
+ * @param {Array<string>} names - Parameters that must be strings when given
+ * @returns {Object|null} - Error with HTTP code, or null if the parameters are valid
+ */
+function validateSingleValues(params, names) {
+  const invalid = names.find(name => params[name] !== undefined && typeof params[name] !== "string");
+  return invalid ? { error: `'${invalid}' must be a single value`, code: 400 } : null;
+}
+
+/**
+ * Gets the user or system behind a request
+ * @param {Object} req - Express request
+ * @param {string} named - Name given as a request parameter (e.g. triggeredBy)
+ * @returns {string} - X-Triggered-By header, the named requester, or the client IP
+ */
+function getRequester(req, named) {
+  return req.get(config.REQUESTER_HEADER) || named || req.ip;
+}
+
+module.exports = {
+  validateSingleValues,
+  getRequester,
+  config
+};
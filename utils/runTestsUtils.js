@@ -1,10 +1,15 @@
 const { spawn } = require("child_process");
+const crypto = require("crypto");
 const path = require("path");
 const fs = require("fs").promises;
 const fileUtils = require("./fileUtils");
 const pathUtils = require("./pathUtils");
 const properties = require("./properties");
+const quarantineUtils = require("./quarantineUtils");
+const envProfileUtils = require("./envProfileUtils");
 const os = require("os");
+const { stripVTControlCharacters } = require("util");
+const EventReporter = require("../reporters/eventReporter");
 
 /**
  * Configuration for test utilities
@@ -14,11 +19,47 @@ const config = {
   SCRAPED_TESTS: properties.CATEGORIES.PLAYWRIGHT,
   REPORT_CATEGORY: properties.CATEGORIES.REPORTS,
   TEMP_CATEGORY: properties.CATEGORIES.TEMP,
+  RUNS_CATEGORY: properties.CATEGORIES.RUNS,
   DEFAULT_TIMEOUT: properties.TEST_TIMEOUT,
   DEFAULT_REPORTER: "json",
-  PLAYWRIGHT_CONFIG: path.resolve(process.cwd(), "playwright.config.js"),
+  PLAYWRIGHT_CONFIG: path.resolve(process.cwd(), "playwright.config.ts"),
   AVAILABLE_REPORTERS: ["json", "html", "dot", "line", "list", "junit"],
-  RESULT_FILE: "test-results.json"
+  // Projects defined in playwright.config.ts (desktop browsers and device profiles)
+  AVAILABLE_PROJECTS: ["chromium", "firefox", "webkit", "mobile-chrome", "mobile-safari", "tablet-safari"],
+  DEFAULT_PROJECTS: ["chromium"], // Used when a run selects no project, instead of running every project
+  // Artifact capture modes accepted per run (Playwright "use" options)
+  ARTIFACT_MODES: {
+    trace: ["off", "on", "retain-on-failure", "on-first-retry"],
+    video: ["off", "on", "retain-on-failure", "on-first-retry"],
+    screenshot: ["off", "on", "only-on-failure"]
+  },
+  // Limits of the config settings a run can override (see parseConfigOverrides)
+  CONFIG_OVERRIDE_LIMITS: {
+    MAX_RETRIES: 10,
+    MAX_WORKERS: 16,
+    MAX_VIEWPORT_SIZE: 7680
+  },
+  EVENT_REPORTER: path.resolve(__dirname, "../reporters/eventReporter.js"),
+  KILL_GRACE_PERIOD: 5000, // Time Playwright gets to write partial reports before it is force-killed
+  LIST_TIMEOUT: 60000, // Limit for test discovery with --list
+  // Limits of the structured test selection (see parseTestSelection)
+  SELECTION_LIMITS: {
+    MAX_ENTRIES: 50,
+    MAX_LENGTH: 500,
+    TAG_PATTERN: /^@[\w.:-]+$/
+  },
+  RESULT_FILE: "test-results.json",
+  WORKSPACE_DIR: "workspaces", // Temp workspaces for uploaded specs, below the temp category
+  REDACTED_EXTENSIONS: [".md", ".txt", ".log", ".json"], // Text files in a run directory that secrets are masked in
+  HTML_REPORT_RETENTION: properties.HTML_REPORT_RETENTION,
+  // Layout of an isolated run output directory
+  RUN_OUTPUT: {
+    JSON_REPORT: "report.json",
+    SUMMARY: "summary.json",
+    HTML_REPORT: "html-report",
+    ARTIFACTS: "test-results",
+    CONFIG: "playwright.config.ts" // Generated when a run overrides config settings
+  }
 };
 
 /**
@@ -43,6 +84,43 @@ function getCommandForOS() {
   }
 }
 
+/**
+ * Stops a Playwright child process together with its browsers and workers.
+ * Playwright first gets an interrupt so its reporters can flush partial results,
+ * and the whole process tree is force-killed after the grace period.
+ * @param {ChildProcess} child - Process spawned by runPlaywrightTests
+ * @returns {void}
+ */
+function killProcessTree(child) {
+  if (!child || !child.pid || child.exitCode !== null || child.signalCode !== null) {
+    return;
+  }
+  
+  if (os.platform() === "win32") {
+    // taskkill /T takes down the whole tree; Windows has no graceful interrupt for it
+    spawn("taskkill", ["/pid", String(child.pid), "/T", "/F"], { shell: true })
+      .on("error", (error) => console.error("[ERROR] Failed to kill Playwright process tree:", error));
+    return;
+  }
+  
+  // Non-Windows processes are spawned detached, so the negative PID targets the process group
+  const signalGroup = (signal) => {
+    try {
+      process.kill(-child.pid, signal);
+    } catch (error) {
+      if (error.code !== "ESRCH") {
+        console.error(`[ERROR] Failed to send ${signal} to Playwright process group:`, error);
+      }
+    }
+  };
+  
+  signalGroup("SIGINT");
+  
+  const forceKillTimer = setTimeout(() => signalGroup("SIGKILL"), config.KILL_GRACE_PERIOD);
+  forceKillTimer.unref();
+  child.once("close", () => clearTimeout(forceKillTimer));
+}
+
 /**
  * Validates options for running tests
  * @param {Object} options - Test run options
@@ -57,6 +135,33 @@ function validateTestOptions(options) {
     };
   }
   
+  // Validate projects
+  const unknownProjects = (options.projects || []).filter(project => !config.AVAILABLE_PROJECTS.includes(project));
+  if (unknownProjects.length > 0) {
+    return {
+      error: `Invalid project: ${unknownProjects.join(", ")}. Available projects: ${config.AVAILABLE_PROJECTS.join(", ")}`,
+      code: 400
+    };
+  }
+  
+  // Validate artifact capture modes
+  for (const [option, modes] of Object.entries(config.ARTIFACT_MODES)) {
+    if (options[option] && !modes.includes(options[option])) {
+      return {
+        error: `Invalid ${option} mode: ${options[option]}. Available modes: ${modes.join(", ")}`,
+        code: 400
+      };
+    }
+  }
+  
+  // The --headed flag and a headless override contradict each other
+  if (options.headed && options.configOverrides && options.configOverrides.headless === true) {
+    return {
+      error: "Cannot combine headed with headless=true",
+      code: 400
+    };
+  }
+  
   // Validate timeout
   if (options.timeout && (isNaN(options.timeout) || options.timeout <= 0)) {
     return {
@@ -68,17 +173,133 @@ function validateTestOptions(options) {
   return null;
 }
 
+/**
+ * Parses the browsers/device projects of a run from a request
+ * @param {Object} source - Request query or body, or stored run parameters
+ * @returns {Array<string>|undefined} - Project names from "browsers" (list or comma-separated) or "project"
+ */
+function parseProjects(source) {
+  const value = source.browsers || source.project;
+  if (!value) {
+    return undefined;
+  }
+  
+  const projects = (Array.isArray(value) ? value : String(value).split(","))
+    .map(project => String(project).trim())
+    .filter(Boolean);
+  
+  return [...new Set(projects)];
+}
+
+/**
+ * Parses the environment profile and variable overrides of a run from a request
+ * @param {Object} source - Request query or body, or stored run parameters
+ * @returns {Promise<Object>} - { envProfile, envOverrides }, or error with HTTP code
+ */
+async function parseRunEnvironment(source) {
+  let overrides = source.env;
+  
+  // Query strings and multipart forms carry the overrides as a JSON string
+  if (typeof overrides === "string") {
+    try {
+      overrides = JSON.parse(overrides);
+    } catch (error) {
+      return { error: "'env' must be a JSON object of variable names and values", code: 400 };
+    }
+  }
+  
+  const overridesError = envProfileUtils.validateVariables(overrides);
+  if (overridesError) {
+    return { error: overridesError, code: 400 };
+  }
+  
+  if (source.envProfile) {
+    const profile = await envProfileUtils.getProfile(source.envProfile);
+    if (profile.error) {
+      return profile;
+    }
+  }
+  
+  return {
+    envProfile: source.envProfile || undefined,
+    envOverrides: overrides && Object.keys(overrides).length ? overrides : undefined
+  };
+}
+
+/**
+ * Parses and validates the options of a run request
+ * @param {Object} source - Request query or body, or stored run parameters (e.g. of a schedule)
+ * @returns {Promise<Object>} - { options } for runPlaywrightTests, or error with HTTP code
+ */
+async function parseRunOptions(source = {}) {
+  const options = {
+    reporter: source.reporter || "json",
+    projects: parseProjects(source),
+    timeout: source.timeout ? parseInt(source.timeout, 10) : undefined,
+    headed: String(source.headed) === "true",
+    debug: String(source.debug) === "true",
+    testName: source.testName,
+    trace: source.trace,
+    video: source.video,
+    screenshot: source.screenshot
+  };
+  
+  const environment = await parseRunEnvironment(source);
+  if (environment.error) {
+    return environment;
+  }
+  options.envProfile = environment.envProfile;
+  options.envOverrides = environment.envOverrides;
+  
+  const configOverrides = parseConfigOverrides(source);
+  if (configOverrides.error) {
+    return configOverrides;
+  }
+  if (Object.keys(configOverrides.overrides).length > 0) {
+    options.configOverrides = configOverrides.overrides;
+  }
+  
+  const selection = parseTestSelection(source);
+  if (selection.error) {
+    return selection;
+  }
+  if (Object.keys(selection.selection).length > 0) {
+    options.selection = selection.selection;
+  }
+  
+  const optionsError = validateTestOptions(options);
+  if (optionsError) {
+    return optionsError;
+  }
+  
+  return { options };
+}
+
 /**
  * Prepares a test file for execution
  * @param {string} fileName - Original filename
  * @param {Buffer|string} content - File content
+ * @param {string} targetDir - Directory to stage the file in (default: the tests category)
  * @returns {Promise<Object>} - Information about the saved test file
  */
-async function prepareTestFile(fileName, content) {
+async function prepareTestFile(fileName, content, targetDir) {
   try {
     // Get a safe filename
     const safeFileName = pathUtils.sanitizeFilename(fileName);
     
+    if (targetDir) {
+      const filePath = path.join(targetDir, safeFileName);
+      await fs.mkdir(targetDir, { recursive: true });
+      await fs.writeFile(filePath, content);
+      
+      return {
+        success: true,
+        fileName: safeFileName,
+        filePath,
+        relativePath: pathUtils.getRelativePath(filePath)
+      };
+    }
+    
     // Make sure the test directory exists
     const testDirPath = pathUtils.getSafeCategoryPath(config.TEST_CATEGORY);
     if (!testDirPath) {
@@ -112,16 +333,553 @@ async function prepareTestFile(fileName, content) {
   }
 }
 
+/**
+ * Splits streamed process output into complete lines.
+ * With a redactor, secrets are masked before lines are split off, and text that
+ * could still be the start of a secret spanning lines is held back until the next chunk.
+ * @param {Function} onLine - Called with each complete line
+ * @param {Function} redact - Redactor from envProfileUtils.createRedactor (optional)
+ * @returns {Object} - Line splitter with push(chunk) and flush()
+ */
+function createLineSplitter(onLine, redact = null) {
+  const holdBack = redact && redact.multilineLength ? redact.multilineLength - 1 : 0;
+  let pending = "";
+  
+  return {
+    push(chunk) {
+      pending = redact ? redact(pending + chunk) : pending + chunk;
+      
+      const cut = pending.length - 1 - holdBack >= 0 ? pending.lastIndexOf("\n", pending.length - 1 - holdBack) : -1;
+      if (cut === -1) {
+        return;
+      }
+      
+      const lines = pending.slice(0, cut).split(/\r?\n/);
+      pending = pending.slice(cut + 1);
+      lines.forEach(line => onLine(line.replace(/\r$/, "")));
+    },
+    flush() {
+      if (pending) {
+        pending.split(/\r?\n/).forEach(onLine);
+        pending = "";
+      }
+    }
+  };
+}
+
+/**
+ * Parses a line printed by the event reporter
+ * @param {string} line - Output line
+ * @returns {Object|null} - Parsed event or null if the line is regular output
+ */
+function parseReporterEvent(line) {
+  if (!line.startsWith(EventReporter.EVENT_PREFIX)) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(line.slice(EventReporter.EVENT_PREFIX.length));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gets the directory of an upload workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {string|null} - Absolute directory path or null if the ID is invalid
+ */
+function getWorkspaceDir(workspaceId) {
+  if (!/^[0-9a-f-]{36}$/i.test(workspaceId || "")) {
+    return null;
+  }
+  
+  return path.join(pathUtils.getSafeCategoryPath(config.TEMP_CATEGORY), config.WORKSPACE_DIR, workspaceId);
+}
+
+/**
+ * Stages uploaded spec files and their fixtures/helper modules in a new temp workspace.
+ * Files are staged flat, so specs import helpers as "./helper".
+ * @param {Array<Object>} specFiles - Uploaded spec files ({ originalname, buffer })
+ * @param {Array<Object>} fixtureFiles - Uploaded fixtures and helper modules ({ originalname, buffer })
+ * @returns {Promise<Object>} - Workspace ID, directory and staged file names, or error with HTTP code
+ */
+async function createTestWorkspace(specFiles, fixtureFiles = []) {
+  if (!specFiles || specFiles.length === 0) {
+    return { error: "At least one spec file is required", code: 400 };
+  }
+  
+  const allFiles = [...specFiles, ...fixtureFiles];
+  const names = allFiles.map(file => pathUtils.sanitizeFilename(file.originalname));
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+  if (duplicates.length > 0) {
+    return { error: `Duplicate file names in upload: ${[...new Set(duplicates)].join(", ")}`, code: 400 };
+  }
+  
+  const workspaceId = crypto.randomUUID();
+  const workspaceDir = getWorkspaceDir(workspaceId);
+  
+  try {
+    const stage = (files) => Promise.all(files.map(async file => {
+      const staged = await prepareTestFile(file.originalname, file.buffer, workspaceDir);
+      return staged.fileName;
+    }));
+    
+    return {
+      success: true,
+      workspaceId,
+      workspaceDir,
+      specFiles: await stage(specFiles),
+      fixtureFiles: await stage(fixtureFiles)
+    };
+  } catch (error) {
+    await fs.rm(workspaceDir, { recursive: true, force: true }).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Deletes an upload workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} - Result or error with HTTP code
+ */
+async function removeTestWorkspace(workspaceId) {
+  const workspaceDir = getWorkspaceDir(workspaceId);
+  if (!workspaceDir) {
+    return { error: `Invalid workspace ID: ${workspaceId}`, code: 400 };
+  }
+  
+  if (!await fileUtils.fileExists(workspaceDir)) {
+    return { error: `Workspace not found: ${workspaceId}`, code: 404 };
+  }
+  
+  await fs.rm(workspaceDir, { recursive: true, force: true });
+  return { success: true, workspaceId };
+}
+
+/**
+ * Writes a Playwright config for a single run that extends the server's config.
+ * Relative paths in the base config would resolve against the run directory,
+ * so the test directory is set to its absolute path.
+ * @param {string} outputDir - Isolated run directory
+ * @param {Object} overrides - Top-level config settings (e.g. testDir, testMatch, retries); "use" is merged
+ *   into the base "use" and into the "use" of every project, so it also wins over device settings
+ * @returns {Promise<string>} - Path of the generated config
+ */
+async function writeRunConfig(outputDir, overrides = {}) {
+  const { use = {}, testDir = pathUtils.getSafeCategoryPath(config.SCRAPED_TESTS), ...settings } = overrides;
+  const basePath = config.PLAYWRIGHT_CONFIG.replace(/\\/g, "/");
+  
+  const content = [
+    "// Generated for a single test run: extends the server's Playwright config",
+    `import baseConfig from ${JSON.stringify(basePath)};`,
+    "",
+    `const runUse = ${JSON.stringify(use)};`,
+    "",
+    "export default {",
+    "  ...baseConfig,",
+    `  testDir: ${JSON.stringify(testDir)},`,
+    ...Object.entries(settings)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `  ${key}: ${JSON.stringify(value)},`),
+    "  use: { ...baseConfig.use, ...runUse },",
+    "  projects: (baseConfig.projects || []).map(project => ({ ...project, use: { ...project.use, ...runUse } })),",
+    "};",
+    ""
+  ].join("\n");
+  
+  const configPath = path.join(outputDir, config.RUN_OUTPUT.CONFIG);
+  await fs.writeFile(configPath, content, "utf8");
+  return configPath;
+}
+
+/**
+ * Parses the Playwright config settings a run request overrides
+ * @param {Object} source - Request query or body
+ * @param {string} source.baseURL - Base URL for page.goto and request fixtures
+ * @param {string|Object} source.viewport - Viewport as "WIDTHxHEIGHT" or { width, height }
+ * @param {boolean|string} source.headless - Whether browsers run headless
+ * @param {number|string} source.retries - Retries of failed tests
+ * @param {number|string} source.workers - Parallel worker processes
+ * @param {number|string} source.testTimeout - Timeout of each test in ms
+ * @param {string} source.locale - Browser locale such as "de-DE"
+ * @param {string} source.timezone - IANA time zone such as "Europe/Berlin"
+ * @returns {Object} - { overrides } with only the given settings, or error with HTTP code
+ */
+function parseConfigOverrides(source = {}) {
+  const limits = config.CONFIG_OVERRIDE_LIMITS;
+  const overrides = {};
+  const isSet = (value) => value !== undefined && value !== null && value !== "";
+  const parseInteger = (value, min, max) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number >= min && number <= max ? number : null;
+  };
+  
+  if (isSet(source.baseURL)) {
+    let url;
+    try {
+      url = new URL(source.baseURL);
+    } catch (error) {
+      url = null;
+    }
+    
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      return { error: `Invalid baseURL: ${source.baseURL}. Use an http(s) URL.`, code: 400 };
+    }
+    overrides.baseURL = source.baseURL;
+  }
+  
+  if (isSet(source.viewport)) {
+    const [width, height] = typeof source.viewport === "object"
+      ? [source.viewport.width, source.viewport.height]
+      : String(source.viewport).toLowerCase().split("x");
+    const viewport = {
+      width: parseInteger(width, 1, limits.MAX_VIEWPORT_SIZE),
+      height: parseInteger(height, 1, limits.MAX_VIEWPORT_SIZE)
+    };
+    
+    if (viewport.width === null || viewport.height === null) {
+      return { error: `Invalid viewport: use WIDTHxHEIGHT (e.g. 1920x1080) up to ${limits.MAX_VIEWPORT_SIZE} pixels`, code: 400 };
+    }
+    overrides.viewport = viewport;
+  }
+  
+  if (isSet(source.headless)) {
+    if (![true, false, "true", "false"].includes(source.headless)) {
+      return { error: "Headless must be true or false", code: 400 };
+    }
+    overrides.headless = String(source.headless) === "true";
+  }
+  
+  if (isSet(source.retries)) {
+    overrides.retries = parseInteger(source.retries, 0, limits.MAX_RETRIES);
+    if (overrides.retries === null) {
+      return { error: `Retries must be an integer between 0 and ${limits.MAX_RETRIES}`, code: 400 };
+    }
+  }
+  
+  if (isSet(source.workers)) {
+    overrides.workers = parseInteger(source.workers, 1, limits.MAX_WORKERS);
+    if (overrides.workers === null) {
+      return { error: `Workers must be an integer between 1 and ${limits.MAX_WORKERS}`, code: 400 };
+    }
+  }
+  
+  if (isSet(source.testTimeout)) {
+    overrides.testTimeout = parseInteger(source.testTimeout, 1, Number.MAX_SAFE_INTEGER);
+    if (overrides.testTimeout === null) {
+      return { error: "Test timeout must be a positive number of milliseconds", code: 400 };
+    }
+  }
+  
+  if (isSet(source.locale)) {
+    try {
+      [overrides.locale] = Intl.getCanonicalLocales(source.locale);
+    } catch (error) {
+      return { error: `Invalid locale: ${source.locale}`, code: 400 };
+    }
+  }
+  
+  if (isSet(source.timezone)) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: source.timezone });
+    } catch (error) {
+      return { error: `Invalid timezone: ${source.timezone}. Use an IANA time zone such as Europe/Berlin.`, code: 400 };
+    }
+    overrides.timezoneId = source.timezone;
+  }
+  
+  return { overrides };
+}
+
+/**
+ * Gets the config settings a run overrides, split into top-level settings and "use" settings
+ * @param {Object} options - Test run options
+ * @returns {Object} - { settings, use } for writeRunConfig
+ */
+function getConfigOverrideSettings(options) {
+  const { retries, workers, testTimeout, ...use } = options.configOverrides || {};
+  
+  return {
+    settings: { retries, workers, timeout: testTimeout },
+    use: { ...use, ...getArtifactSettings(options) }
+  };
+}
+
+/**
+ * Gets the artifact capture settings requested for a run
+ * @param {Object} options - Test run options
+ * @returns {Object} - Playwright "use" settings for trace, video and screenshot
+ */
+function getArtifactSettings(options) {
+  const settings = {};
+  
+  Object.keys(config.ARTIFACT_MODES).forEach(option => {
+    if (options[option]) {
+      settings[option] = options[option];
+    }
+  });
+  
+  return settings;
+}
+
+/**
+ * Escapes a string for use in a grep pattern.
+ * Whitespace becomes \s+ so a title still matches where Playwright joins its parts with a space.
+ * @param {string} value - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeGrepPattern(value) {
+  return String(value)
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\s+/g, "\\s+");
+}
+
+/**
+ * Builds a --grep/--grep-invert pattern that matches exactly the given tests.
+ * Playwright greps "<project> <file> <describes> <title> <tags>", so each test
+ * matches its project (if given), its spec file, its describe block (if any) and the exact title.
+ * Pass the pattern through toGrepArgument as case-sensitive, since Playwright otherwise ignores case.
+ * @param {Array<Object>} tests - Tests as { file, suite, title, project }, file relative to the test directory
+ * @returns {string|null} - Pattern, or null if there are no tests
+ */
+function buildTestGrepPattern(tests) {
+  if (!tests || tests.length === 0) {
+    return null;
+  }
+  
+  return tests
+    .map(test => {
+      const file = test.file.replace(/\\/g, "/").split("/").map(escapeGrepPattern).join("[\\\\/]");
+      // Top-level tests report their file as the suite
+      const suite = test.suite && test.suite !== test.file ? `${escapeGrepPattern(test.suite)}\\s(.*\\s)?` : "";
+      const project = test.project ? `(^|\\s)${escapeGrepPattern(test.project)}\\s(.*[\\s\\\\/])?` : "(^|[\\s\\\\/])";
+      return `${project}${file}\\s(.*\\s)?${suite}${escapeGrepPattern(test.title)}(\\s@\\S+)*$`;
+    })
+    .join("|");
+}
+
+/**
+ * Builds a grep pattern matching tests that carry any of the given tags
+ * @param {Array<string>} tags - Tags such as "@smoke"
+ * @returns {string|null} - Pattern, or null if there are no tags
+ */
+function buildTagPattern(tags) {
+  if (!tags || tags.length === 0) {
+    return null;
+  }
+  
+  return `(^|\\s)(${tags.map(escapeGrepPattern).join("|")})(?=\\s|$)`;
+}
+
+/**
+ * Combines grep patterns into one
+ * @param {Array<string|null>} patterns - Patterns; empty entries are ignored
+ * @param {string} mode - "any" to match one of the patterns, "all" to match every pattern
+ * @returns {string|null} - Combined pattern, or null if there are no patterns
+ */
+function combineGrepPatterns(patterns, mode) {
+  const given = patterns.filter(Boolean);
+  
+  if (given.length <= 1) {
+    return given[0] || null;
+  }
+  
+  return mode === "all"
+    ? `^${given.map(pattern => `(?=.*(?:${pattern}))`).join("")}`
+    : given.map(pattern => `(?:${pattern})`).join("|");
+}
+
+/**
+ * Formats a pattern for --grep or --grep-invert.
+ * Playwright matches a plain pattern ignoring case but compiles "/pattern/" as written.
+ * @param {string} pattern - Grep pattern
+ * @param {boolean} caseSensitive - Whether letter case must match
+ * @returns {string} - Argument value
+ */
+function toGrepArgument(pattern, caseSensitive) {
+  return caseSensitive ? `/${pattern}/` : pattern;
+}
+
+/**
+ * Converts a file glob into a Playwright file filter for a directory target.
+ * Playwright matches file filters against absolute paths, so the glob is anchored at the target.
+ * @param {string} targetDir - Directory being run
+ * @param {string} glob - Glob relative to the directory (e.g. "checkout/**\/*.spec.ts")
+ * @returns {string} - File filter pattern
+ */
+function globToFileFilter(targetDir, glob) {
+  const separator = "[\\\\/]";
+  const pattern = glob
+    .replace(/\\/g, "/")
+    .split(/(\*\*\/|\*\*|\*|\?|\/)/)
+    .map(part => {
+      switch (part) {
+        case "**/": return `(.*${separator})?`;
+        case "**": return ".*";
+        case "*": return "[^\\\\/]*";
+        case "?": return "[^\\\\/]";
+        case "/": return separator;
+        default: return escapeGrepPattern(part);
+      }
+    })
+    .join("");
+  
+  return `^${escapeGrepPattern(path.resolve(targetDir))}${separator}${pattern}$`;
+}
+
+/**
+ * Parses the structured test selection of a run request
+ * @param {Object} source - Request query or body
+ * @param {Array<string>|string} source.tags - Tags to include (list or comma-separated); tests need one of them
+ * @param {Array<string>|string} source.excludeTags - Tags to exclude (list or comma-separated)
+ * @param {Array<string>|string} source.files - Spec file globs relative to the target directory (list or comma-separated)
+ * @param {Array<string>|string} source.titles - Title regular expressions (list, or a single pattern); tests need to match one
+ * @returns {Object} - { selection } with only the given filters, or error with HTTP code
+ */
+function parseTestSelection(source = {}) {
+  const toList = (value, split) => {
+    if (value === undefined || value === null || value === "") {
+      return [];
+    }
+    
+    const values = Array.isArray(value) ? value : (split ? String(value).split(",") : [value]);
+    return [...new Set(values.map(item => String(item).trim()).filter(Boolean))];
+  };
+  
+  const selection = {
+    tags: toList(source.tags, true),
+    excludeTags: toList(source.excludeTags, true),
+    files: toList(source.files, true),
+    titles: toList(source.titles, false)
+  };
+  
+  for (const [name, values] of Object.entries(selection)) {
+    if (values.length > config.SELECTION_LIMITS.MAX_ENTRIES) {
+      return { error: `At most ${config.SELECTION_LIMITS.MAX_ENTRIES} ${name} are allowed`, code: 400 };
+    }
+    
+    const tooLong = values.find(value => value.length > config.SELECTION_LIMITS.MAX_LENGTH);
+    if (tooLong) {
+      return { error: `Selection entries must be at most ${config.SELECTION_LIMITS.MAX_LENGTH} characters: ${tooLong.substring(0, 50)}...`, code: 400 };
+    }
+  }
+  
+  // Tags are given with or without the leading @
+  for (const name of ["tags", "excludeTags"]) {
+    selection[name] = selection[name].map(tag => (tag.startsWith("@") ? tag : `@${tag}`));
+    
+    const invalid = selection[name].find(tag => !config.SELECTION_LIMITS.TAG_PATTERN.test(tag));
+    if (invalid) {
+      return { error: `Invalid tag: ${invalid}`, code: 400 };
+    }
+  }
+  
+  const invalidGlob = selection.files.find(glob => glob.split(/[\\/]/).includes("..") || path.isAbsolute(glob));
+  if (invalidGlob) {
+    return { error: `File globs must be relative to the test directory: ${invalidGlob}`, code: 400 };
+  }
+  
+  for (const title of selection.titles) {
+    try {
+      new RegExp(title);
+    } catch (error) {
+      return { error: `Invalid title pattern: ${title} (${error.message})`, code: 400 };
+    }
+  }
+  
+  return {
+    selection: Object.fromEntries(Object.entries(selection).filter(([, values]) => values.length > 0))
+  };
+}
+
+/**
+ * Builds the spawn arguments of a Playwright command
+ * @param {Object} cmdInfo - Command structure from getCommandForOS
+ * @param {Array<string>} testArgs - Arguments after "npx"
+ * @returns {Array<string>} - Arguments for spawn
+ */
+function buildSpawnArgs(cmdInfo, testArgs) {
+  if (cmdInfo.command === "cmd.exe") {
+    // cmd.exe takes one command line; quoting keeps |, ^, & and spaces literal
+    const quoted = testArgs.map(arg => `"${arg.replace(/"/g, '""')}"`);
+    return [...cmdInfo.argPrefix, ["npx", ...quoted].join(" ")];
+  }
+  
+  return testArgs;
+}
+
+/**
+ * Gets the active quarantine entries that apply to a run: entries under the run target whose test
+ * the run would otherwise select. The selected tests are found with Playwright's --list mode;
+ * if listing fails, every entry under the target applies.
+ * @param {string} testFilePath - Spec file or directory being run
+ * @param {Array<string>} listArgs - The run's file filters, config, projects, grep and shard arguments
+ * @returns {Promise<Array>} - Quarantine entries that apply to the run
+ */
+async function getQuarantinedTests(testFilePath, listArgs) {
+  const testRoot = pathUtils.getSafeCategoryPath(config.SCRAPED_TESTS);
+  const target = path.resolve(testFilePath);
+  const entries = (await quarantineUtils.getActiveQuarantine()).filter(entry => {
+    const specPath = path.resolve(testRoot, entry.specFile);
+    return specPath === target || specPath.startsWith(target + path.sep);
+  });
+  
+  if (entries.length === 0) {
+    return entries;
+  }
+  
+  const listed = await runListCommand(listArgs);
+  if (listed.error) {
+    console.log(`[WARN] Could not list the tests of the run, excluding every quarantined test of the target: ${listed.details}`);
+    return entries;
+  }
+  
+  // Entries match like buildTestGrepPattern: the exact title, optionally preceded by describe titles
+  const normalize = (title) => title.trim().replace(/\s+/g, " ");
+  const rootDir = listed.report.config.rootDir;
+  const selected = [];
+  const collectTests = (file, node, titles) => {
+    node.tests.forEach(test => selected.push({ file, title: normalize([...titles, test.title].join(" ")) }));
+    node.suites.forEach(suite => collectTests(file, suite, [...titles, suite.title]));
+  };
+  buildTestTree(listed.report).files.forEach(file => collectTests(path.resolve(rootDir, file.file), file, []));
+  
+  return entries.filter(entry => {
+    const specPath = path.resolve(testRoot, entry.specFile);
+    const title = normalize(entry.title);
+    return selected.some(test => test.file === specPath && (test.title === title || test.title.endsWith(` ${title}`)));
+  });
+}
+
 /**
  * Runs Playwright tests on a saved test spec.
+ * Quarantined tests the run would otherwise select are excluded with --grep-invert.
  * @param {string} testFilePath - The full file path of the test file.
  * @param {Object} options - Test execution options
  * @param {string} options.reporter - Reporter format (default: json)
- * @param {string} options.project - Playwright project to run
+ * @param {Array<string>} options.projects - Playwright projects (browsers/devices) to run in one invocation (default: DEFAULT_PROJECTS)
  * @param {number} options.timeout - Test execution timeout in ms
  * @param {boolean} options.headed - Whether to run in headed mode
- * @param {string} options.testName - Specific test name to run
+ * @param {string} options.testName - Title pattern of the tests to run
+ * @param {Object} options.selection - Tags, excluded tags, file globs and title patterns (see parseTestSelection)
+ * @param {Array<string>} options.testFiles - Spec files (relative to the test directory) to run instead of the target name
+ * @param {string} options.grep - Pattern selecting the tests to run (see buildTestGrepPattern)
+ * @param {string} options.shard - Shard of the tests to run, as "current/total"
+ * @param {string} options.trace - Trace capture mode (off, on, retain-on-failure, on-first-retry)
+ * @param {string} options.video - Video capture mode (off, on, retain-on-failure, on-first-retry)
+ * @param {string} options.screenshot - Screenshot capture mode (off, on, only-on-failure)
+ * @param {string} options.testDir - Test directory to use instead of the configured one (e.g. an upload workspace)
+ * @param {Array<string>} options.testMatch - Spec files to match in that test directory
+ * @param {Object} options.configOverrides - Config settings of this run (see parseConfigOverrides)
  * @param {boolean} options.debug - Whether to run in debug mode
+ * @param {Object} options.env - Environment variables to add to the Playwright process
+ * @param {Array<string>} options.secrets - Secret values to mask in output, logs and saved results
+ * @param {Function} options.onOutput - Called with each output line and its stream (stdout/stderr)
+ * @param {Function} options.onTestResult - Called with each per-test event from the event reporter
+ * @param {Function} options.onSpawn - Called with the spawned child process (e.g. to cancel it with killProcessTree)
+ * @param {string} options.outputDir - Isolated directory for this run's reports and artifacts
+ * @param {string} options.runId - ID of the run the results belong to
  * @returns {Promise<object>} - The test results or error details.
  */
 async function runPlaywrightTests(testFilePath, options = {}) {
@@ -136,70 +894,212 @@ async function runPlaywrightTests(testFilePath, options = {}) {
     throw new Error(optionsError.error);
   }
   
-  // Set default options
-  const reporter = options.reporter || config.DEFAULT_REPORTER;
-  const timeout = options.timeout || config.DEFAULT_TIMEOUT;
-  const testFileName = path.basename(testFilePath);
-  
+  // Set default options
+  const reporter = options.reporter || config.DEFAULT_REPORTER;
+  const timeout = options.timeout || config.DEFAULT_TIMEOUT;
+  const testFileName = path.basename(testFilePath);
+  const onOutput = options.onOutput || (() => {});
+  const onTestResult = options.onTestResult || (() => {});
+  const redact = envProfileUtils.createRedactor(options.secrets);
+  
+  // The HTML report and traces embed test output in zip data that redactRunOutput cannot
+  // rewrite, so runs with secrets get neither
+  const hasSecrets = Boolean(options.secrets && options.secrets.length);
+  if (hasSecrets && options.outputDir) {
+    console.log("[INFO] Run has profile secrets: skipping the HTML report and trace capture");
+  }
+  
+  const selection = options.selection || {};
+  
+  // A test must match every given filter: the test name, a re-run's tests, a tag and a title pattern.
+  // A re-run's pattern names exact tests and is never combined with the others.
+  const grep = combineGrepPatterns([
+    options.testName,
+    options.grep,
+    buildTagPattern(selection.tags),
+    selection.titles && selection.titles.length ? selection.titles.join("|") : null
+  ], "all");
+  const excludedTagPattern = buildTagPattern(selection.excludeTags);
+  
+  const outputDir = options.outputDir || null;
+  
+  // The JSON reporter writes to a file so stdout stays free for live output.
+  // Isolated runs always keep it as their full report; otherwise it is a temp file.
+  let jsonOutputPath = null;
+  if (outputDir) {
+    jsonOutputPath = path.join(outputDir, config.RUN_OUTPUT.JSON_REPORT);
+  } else if (reporter === "json") {
+    jsonOutputPath = path.join(pathUtils.getSafeCategoryPath(config.TEMP_CATEGORY), `report-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+  }
+  
+  // Isolated runs get their own HTML report as well, unless the run has secrets
+  const htmlReportDir = outputDir && !hasSecrets ? path.join(outputDir, config.RUN_OUTPUT.HTML_REPORT) : null;
+  
+  // Artifact capture, the test directory and most "use" settings have no CLI flags,
+  // so isolated runs that change any of them get their own config extending the
+  // base config; attachments land in the artifacts folder
+  const { settings, use } = getConfigOverrideSettings(hasSecrets ? { ...options, trace: "off" } : options);
+  const configSettings = options.testDir ? { ...settings, testDir: options.testDir, testMatch: options.testMatch } : settings;
+  const hasOverrides = Object.values(configSettings).some(value => value !== undefined) || Object.keys(use).length > 0;
+  const runConfigPath = outputDir && hasOverrides
+    ? await writeRunConfig(outputDir, { ...configSettings, use })
+    : null;
+  
+  // Targeted runs filter by their spec files instead of the target name;
+  // file globs select spec files within a directory target
+  let fileFilters = [testFileName];
+  if (options.testFiles && options.testFiles.length) {
+    fileFilters = options.testFiles.map(escapeGrepPattern);
+  } else if (selection.files && selection.files.length) {
+    fileFilters = selection.files.map(glob => globToFileFilter(testFilePath, glob));
+  }
+  
+  // Every selected project runs in the same invocation, so one report covers the whole matrix
+  const projects = options.projects && options.projects.length ? options.projects : config.DEFAULT_PROJECTS;
+  
+  // The arguments choosing which tests run, shared by the run and its quarantine lookup
+  const selectionArgs = [
+    ...fileFilters,
+    ...(runConfigPath ? [`--config=${runConfigPath}`] : []),
+    ...projects.map(project => `--project=${project}`),
+    ...(grep ? [`--grep=${toGrepArgument(grep, Boolean(options.grep))}`] : []),
+    ...(options.shard ? [`--shard=${options.shard}`] : []),
+    ...(excludedTagPattern ? [`--grep-invert=${excludedTagPattern}`] : [])
+  ];
+  
+  // Quarantined tests the run selects are left out of it and reported separately.
+  // Quarantine entries name exact titles, so excluded tags are matched case-sensitively alongside them.
+  const quarantined = (await getQuarantinedTests(testFilePath, selectionArgs)).map(({ expired, ...entry }) => entry);
+  const quarantinePattern = buildTestGrepPattern(quarantined.map(entry => ({ file: entry.specFile, title: entry.title })));
+  const grepInvert = combineGrepPatterns([quarantinePattern, excludedTagPattern], "any");
+  
+  // Run variables are applied before the reporter settings so they cannot redirect reports
+  const env = { ...process.env, ...(options.env || {}) };
+  if (jsonOutputPath) {
+    env.PLAYWRIGHT_JSON_OUTPUT_NAME = jsonOutputPath;
+  }
+  if (htmlReportDir) {
+    env.PLAYWRIGHT_HTML_OUTPUT_DIR = htmlReportDir;
+    env.PLAYWRIGHT_HTML_REPORT = htmlReportDir; // Name used by older Playwright versions
+    env.PLAYWRIGHT_HTML_OPEN = "never";
+  }
+  
+  // Run the event reporter alongside the requested reporter for per-test events.
+  // File-based reporters are paired with "list" so there is readable live output.
+  let reporters;
+  if (outputDir) {
+    const stdoutReporter = ["json", "html"].includes(reporter) ? "list" : reporter;
+    reporters = [stdoutReporter, config.EVENT_REPORTER, "json", ...(htmlReportDir ? ["html"] : [])];
+  } else if (reporter === "json") {
+    reporters = ["list", config.EVENT_REPORTER, "json"];
+  } else {
+    reporters = [reporter, config.EVENT_REPORTER];
+  }
+  
   return new Promise((resolve, reject) => {
     console.log(`[INFO] Running Playwright tests on: ${testFileName}`);
     
-    // Build the Playwright command
+    // Build the Playwright arguments as an array, so patterns and paths are passed verbatim
     const cmdInfo = getCommandForOS();
-    const args = [...cmdInfo.argPrefix];
+    const testArgs = ["playwright", "test", ...fileFilters, `--reporter=${reporters.join(",")}`];
     
-    // Build the test command
-    let testCommand = `npx playwright test ${testFileName} --reporter=${reporter}`;
+    if (runConfigPath) {
+      testArgs.push(`--config=${runConfigPath}`);
+    }
     
     // Add optional parameters
-    if (options.project) {
-      testCommand += ` --project=${options.project}`;
-    }
+    projects.forEach(project => {
+      testArgs.push(`--project=${project}`);
+    });
     
     if (options.headed) {
-      testCommand += " --headed";
+      testArgs.push("--headed");
     }
     
     if (options.debug) {
-      testCommand += " --debug";
+      testArgs.push("--debug");
     }
     
-    if (options.testName) {
-      testCommand += ` -g "${options.testName}"`;
+    if (grep) {
+      testArgs.push(`--grep=${toGrepArgument(grep, Boolean(options.grep))}`);
     }
-
-    console.log(`[INFO] Running command: ${testCommand}`)
     
-    // Add the test command to args
-    if (cmdInfo.command === "cmd.exe") {
-      args.push(testCommand);
-    } else {
-      // Split the command for non-Windows platforms
-      args.push(...testCommand.split(" ").slice(1)); // Remove the 'npx' part
+    if (options.shard) {
+      testArgs.push(`--shard=${options.shard}`);
+    }
+    
+    if (grepInvert) {
+      testArgs.push(`--grep-invert=${toGrepArgument(grepInvert, Boolean(quarantinePattern))}`);
     }
     
-    // Spawn the process
+    if (outputDir) {
+      testArgs.push(`--output=${path.join(outputDir, config.RUN_OUTPUT.ARTIFACTS)}`);
+    }
+    
+    const testCommand = ["npx", ...testArgs].join(" ");
+    console.log(`[INFO] Running command: ${testCommand}`);
+    
+    const args = buildSpawnArgs(cmdInfo, testArgs);
+    
+    // Spawn the process in its own process group so the whole tree can be stopped
     const process = spawn(cmdInfo.command, args, {
       shell: cmdInfo.shell,
-      timeout: timeout
+      detached: cmdInfo.command !== "cmd.exe",
+      env
     });
     
+    // Enforce the timeout on the whole tree rather than just the npx process
+    const timeoutTimer = setTimeout(() => {
+      console.error(`[ERROR] Playwright run exceeded ${timeout}ms, stopping it`);
+      killProcessTree(process);
+    }, timeout);
+    
+    if (options.onSpawn) {
+      options.onSpawn(process);
+    }
+    
     let output = "";
     let errorOutput = "";
     
+    // Output is redacted in whole lines, so a secret split across chunks is still masked
+    const stdoutLines = createLineSplitter(line => {
+      if (line.trim()) {
+        console.log(`[PLAYWRIGHT] ${line}`);
+      }
+      
+      const event = parseReporterEvent(line);
+      if (event) {
+        if (event.type === "result") {
+          event.attachments = getAttachmentLinks(event.attachments);
+        }
+        onTestResult(event);
+        return;
+      }
+      
+      output += `${line}\n`;
+      onOutput(line, "stdout");
+    }, redact);
+    
+    const stderrLines = createLineSplitter(line => {
+      if (line.trim()) {
+        console.error(`[PLAYWRIGHT ERROR] ${line}`);
+      }
+      
+      onOutput(line, "stderr");
+    }, redact);
+    
     process.stdout.on("data", (data) => {
-      const chunk = data.toString();
-      output += chunk;
-      console.log(`[PLAYWRIGHT] ${chunk.trim()}`);
+      stdoutLines.push(data.toString());
     });
     
     process.stderr.on("data", (data) => {
       const chunk = data.toString();
       errorOutput += chunk;
-      console.error(`[PLAYWRIGHT ERROR] ${chunk.trim()}`);
+      stderrLines.push(chunk);
     });
     
     process.on("error", (error) => {
+      clearTimeout(timeoutTimer);
       console.error("[ERROR] Failed to start Playwright process:", error);
       reject({
         error: "Failed to start Playwright process",
@@ -207,48 +1107,76 @@ async function runPlaywrightTests(testFilePath, options = {}) {
       });
     });
     
-    process.on("close", async (code) => {
-      console.log(`[INFO] Playwright process exited with code: ${code}`);
+    process.on("close", async (code, signal) => {
+      clearTimeout(timeoutTimer);
+      console.log(`[INFO] Playwright process exited with code: ${code}${signal ? ` (signal: ${signal})` : ""}`);
+      stdoutLines.flush();
+      stderrLines.flush();
       
-      // For HTML reporter, we don't get JSON output, so handle differently
-      if (reporter === "html") {
+      // For HTML reporter without an isolated run directory, we don't get JSON output
+      if (reporter === "html" && !outputDir) {
         return resolve({
           success: code === 0,
           exitCode: code,
           reportPath: "playwright-report/index.html",
+          quarantined,
           message: code === 0 ? "Tests completed successfully" : "Tests completed with failures"
         });
       }
       
       // For all other reporters, process the output
       try {
+        if (outputDir && options.secrets && options.secrets.length) {
+          await redactRunOutput(outputDir, redact);
+        }
+        
         // Some basic information even if parsing fails
         const basicResult = {
           success: code === 0,
           exitCode: code,
-          command: testCommand
+          command: testCommand,
+          quarantined
         };
         
+        const htmlIndexPath = htmlReportDir ? path.join(htmlReportDir, "index.html") : null;
+        if (htmlIndexPath && await fileUtils.fileExists(htmlIndexPath)) {
+          basicResult.reportPath = pathUtils.getRelativePath(htmlIndexPath);
+        }
+        
+        // Read the JSON report written by the json reporter
+        let jsonOutput = null;
+        if (jsonOutputPath && await fileUtils.fileExists(jsonOutputPath)) {
+          try {
+            // Test stdout and errors captured in the report must not keep secret values
+            jsonOutput = redact(await fs.readFile(jsonOutputPath, "utf8"));
+          } finally {
+            if (!outputDir) {
+              await fs.unlink(jsonOutputPath).catch(() => {});
+            }
+          }
+        }
+        
         // If no output but process exited with error
-        if (!output && code !== 0) {
+        if (!(jsonOutput || output) && code !== 0) {
           basicResult.error = "Playwright test failed";
-          basicResult.errorOutput = errorOutput;
+          basicResult.errorOutput = redact(errorOutput);
           return resolve(basicResult);
         }
         
         // Try to parse JSON output
-        if (reporter === "json" && output) {
+        if (jsonOutput) {
           try {
-            const fullReport = JSON.parse(output);
+            const fullReport = JSON.parse(jsonOutput);
             
             // Extract simplified results
             const simplifiedResults = extractSimplifiedResults(fullReport);
             
             // Calculate summary statistics
             const summary = calculateTestSummary(simplifiedResults);
+            summary.quarantined = quarantined.length;
             
             // Save the results to a file for later reference
-            await saveTestResults(fullReport, simplifiedResults);
+            await saveTestResults(fullReport, simplifiedResults, { outputDir, runId: options.runId, quarantined });
             
             resolve({
               ...basicResult,
@@ -261,11 +1189,11 @@ async function runPlaywrightTests(testFilePath, options = {}) {
             resolve({
               ...basicResult,
               error: "Failed to parse Playwright JSON output",
-              rawOutput: output.substring(0, 1000) // Truncate very large outputs
+              rawOutput: jsonOutput.substring(0, 1000) // Truncate very large outputs
             });
           }
         } else {
-          // For non-JSON reporters
+          // For non-JSON reporters without a report file
           resolve({
             ...basicResult,
             output: output.substring(0, 2000) // Truncate very large outputs
@@ -283,6 +1211,226 @@ async function runPlaywrightTests(testFilePath, options = {}) {
   });
 }
 
+/**
+ * Converts a suite of a Playwright JSON report into a discovery tree node
+ * @param {Object} suite - Describe block from the JSON report
+ * @returns {Object} - Node with its nested describe blocks and tests
+ */
+function toTestTreeNode(suite) {
+  // The report lists a test once per project; those entries are merged into one test
+  const tests = new Map();
+  
+  (suite.specs || []).forEach(spec => {
+    const key = `${spec.line}:${spec.column}:${spec.title}`;
+    if (!tests.has(key)) {
+      tests.set(key, {
+        id: spec.id,
+        title: spec.title,
+        line: spec.line,
+        column: spec.column,
+        tags: spec.tags || [],
+        projects: []
+      });
+    }
+    
+    const test = tests.get(key);
+    (spec.tests || []).forEach(({ projectName }) => {
+      if (!test.projects.includes(projectName)) {
+        test.projects.push(projectName);
+      }
+    });
+  });
+  
+  return {
+    title: suite.title,
+    line: suite.line,
+    suites: (suite.suites || []).map(toTestTreeNode),
+    tests: Array.from(tests.values())
+  };
+}
+
+/**
+ * Builds the files → describe blocks → tests tree from a --list JSON report
+ * @param {Object} report - Playwright JSON report produced with --list
+ * @returns {Object} - Files with their describe blocks and tests, and totals
+ */
+function buildTestTree(report) {
+  const files = (report.suites || []).map(fileSuite => {
+    const { title, line, ...node } = toTestTreeNode(fileSuite);
+    return { file: fileSuite.file, ...node };
+  });
+  
+  const countTests = (node) => node.tests.length + node.suites.reduce((sum, suite) => sum + countTests(suite), 0);
+  
+  return {
+    files,
+    totalFiles: files.length,
+    totalTests: files.reduce((sum, file) => sum + countTests(file), 0)
+  };
+}
+
+/**
+ * Runs Playwright's --list mode and parses its JSON report
+ * @param {Array<string>} testArgs - Playwright arguments (file filters, config, projects and filters)
+ * @returns {Promise<Object>} - { code, report }, or error with HTTP code if no report was produced
+ */
+async function runListCommand(testArgs) {
+  const listArgs = ["playwright", "test", ...testArgs, "--list", "--reporter=json"];
+  const cmdInfo = getCommandForOS();
+  const args = buildSpawnArgs(cmdInfo, listArgs);
+  
+  const { code, stdout, stderr } = await new Promise((resolve, reject) => {
+    const child = spawn(cmdInfo.command, args, {
+      shell: cmdInfo.shell,
+      detached: cmdInfo.command !== "cmd.exe"
+    });
+    
+    let stdout = "";
+    let stderr = "";
+    const timeoutTimer = setTimeout(() => killProcessTree(child), config.LIST_TIMEOUT);
+    
+    child.stdout.on("data", (data) => {
+      stdout += data.toString();
+    });
+    child.stderr.on("data", (data) => {
+      stderr += data.toString();
+    });
+    child.on("error", (error) => {
+      clearTimeout(timeoutTimer);
+      reject(error);
+    });
+    child.on("close", (code) => {
+      clearTimeout(timeoutTimer);
+      resolve({ code, stdout, stderr });
+    });
+  });
+  
+  try {
+    return { code, report: JSON.parse(stdout) };
+  } catch (error) {
+    return {
+      error: "Failed to list tests",
+      details: (stderr || stdout).substring(0, 2000),
+      code: 500
+    };
+  }
+}
+
+/**
+ * Discovers the tests of a category or spec file with Playwright's --list mode
+ * @param {string} categoryPath - Full path of the category (used as the test directory)
+ * @param {Object} options - Discovery options
+ * @param {string} options.spec - Spec file relative to the category (default: every spec)
+ * @param {Array<string>} options.projects - Projects to list the tests for (default: DEFAULT_PROJECTS)
+ * @returns {Promise<Object>} - Test tree with load errors, or error with HTTP code
+ */
+async function listTests(categoryPath, options = {}) {
+  const optionsError = validateTestOptions({ projects: options.projects });
+  if (optionsError) {
+    return optionsError;
+  }
+  
+  // Categories other than the configured test directory need their own config
+  const listDir = await fs.mkdtemp(path.join(pathUtils.getSafeCategoryPath(config.TEMP_CATEGORY), "list-"));
+  
+  try {
+    const configPath = await writeRunConfig(listDir, { testDir: categoryPath });
+    const projects = options.projects && options.projects.length ? options.projects : config.DEFAULT_PROJECTS;
+    // Playwright matches file filters against absolute paths, so the spec is anchored at a separator
+    const filter = options.spec
+      ? `[\\\\/]${options.spec.replace(/\\/g, "/").split("/").map(escapeGrepPattern).join("[\\\\/]")}$`
+      : "";
+    
+    const testArgs = [...(filter ? [filter] : []), `--config=${configPath}`];
+    projects.forEach(project => {
+      testArgs.push(`--project=${project}`);
+    });
+    
+    const listed = await runListCommand(testArgs);
+    if (listed.error) {
+      return listed;
+    }
+    const { code, report } = listed;
+    
+    // Specs that fail to load (e.g. syntax errors) are reported next to the tests that did load
+    const errors = (report.errors || []).map(error => ({
+      message: error.message,
+      file: error.location ? path.relative(categoryPath, error.location.file).split(path.sep).join("/") : null,
+      line: error.location ? error.location.line : null
+    }));
+    
+    return {
+      success: true,
+      exitCode: code,
+      projects,
+      ...buildTestTree(report),
+      errors
+    };
+  } finally {
+    await fs.rm(listDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Masks secret values in the text files of a run output directory
+ * (JSON report, error contexts and stdout attachments).
+ * Zipped data such as the HTML report and traces is not rewritten, which is
+ * why runs with secrets capture neither.
+ * @param {string} outputDir - Run output directory
+ * @param {Function} redact - Redactor from envProfileUtils.createRedactor
+ * @returns {Promise<number>} - Number of files that were rewritten
+ */
+async function redactRunOutput(outputDir, redact) {
+  let rewritten = 0;
+  
+  const walk = async (dir) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (entry.isFile() && config.REDACTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        const content = await fs.readFile(entryPath, "utf8");
+        const redacted = redact(content);
+        
+        if (redacted !== content) {
+          await fs.writeFile(entryPath, redacted, "utf8");
+          rewritten++;
+        }
+      }
+    }
+  };
+  
+  await walk(outputDir);
+  return rewritten;
+}
+
+/**
+ * Builds download links for the attachments of a test result.
+ * Only attachments stored in a run's artifacts folder get a URL.
+ * @param {Array} attachments - Attachments from the Playwright JSON report
+ * @returns {Array} - Attachments as { name, contentType, url }
+ */
+function getAttachmentLinks(attachments) {
+  const runsPath = pathUtils.getSafeCategoryPath(config.RUNS_CATEGORY);
+  
+  return (attachments || [])
+    .filter(attachment => attachment.path)
+    .map(attachment => {
+      // Paths look like <runs>/<runId>/test-results/<test folder>/<file>
+      const [runId, folder, ...rest] = path.relative(runsPath, attachment.path).split(path.sep);
+      const isArtifact = runId !== ".." && folder === config.RUN_OUTPUT.ARTIFACTS && rest.length > 0;
+      
+      return {
+        name: attachment.name,
+        contentType: attachment.contentType,
+        url: isArtifact ? `/api/tests/runs/${runId}/artifacts/${rest.map(encodeURIComponent).join("/")}` : null
+      };
+    });
+}
+
 /**
  * Extracts simplified test results from the full Playwright report
  * @param {Object} fullReport - Full Playwright JSON report
@@ -297,25 +1445,27 @@ function extractSimplifiedResults(fullReport) {
   const extractTests = (suite) => {
     let results = [];
     
-    // Process specs (test cases) in this suite
+    // Process specs (test cases) in this suite, once per project they ran in
     if (suite.specs) {
       suite.specs.forEach(spec => {
-        if (spec.tests && spec.tests.length > 0 && spec.tests[0].results) {
-          spec.tests[0].results.forEach(result => {
+        (spec.tests || []).forEach(test => {
+          (test.results || []).forEach(result => {
             results.push({
               title: spec.title,
               status: result.status,
               duration: result.duration,
               file: spec.file,
               suite: suite.title,
+              project: test.projectName || null,
               retry: result.retry,
+              attachments: getAttachmentLinks(result.attachments),
               error: result.error ? {
                 //message: result.error.message,
                 stack: result.error.stack
               } : null
             });
           });
-        }
+        });
       });
     }
     
@@ -333,46 +1483,127 @@ function extractSimplifiedResults(fullReport) {
 }
 
 /**
- * Calculates summary statistics from test results
- * @param {Array} results - Array of test results
- * @returns {Object} - Test summary
+ * Creates empty summary counters
+ * @returns {Object} - Counters
  */
-function calculateTestSummary(results) {
-  const summary = {
-    total: results.length,
+function createSummaryCounts() {
+  return {
+    total: 0,
     passed: 0,
     failed: 0,
     skipped: 0,
     flaky: 0,
     duration: 0
   };
+}
+
+/**
+ * Adds a test result to summary counters
+ * @param {Object} counts - Counters from createSummaryCounts
+ * @param {Object} result - Simplified test result
+ */
+function countResult(counts, result) {
+  counts.total++;
+  
+  if (result.status === "passed") {
+    counts.passed++;
+  } else if (result.status === "failed") {
+    counts.failed++;
+  } else if (result.status === "skipped") {
+    counts.skipped++;
+  }
+  
+  if (result.retry > 0) {
+    counts.flaky++;
+  }
+  
+  counts.duration += result.duration || 0;
+}
+
+/**
+ * Calculates summary statistics from test results
+ * @param {Array} results - Array of test results
+ * @returns {Object} - Test summary, with the same counts per project (browser) under byProject
+ */
+function calculateTestSummary(results) {
+  const summary = createSummaryCounts();
+  summary.byProject = {};
   
   results.forEach(result => {
-    if (result.status === "passed") {
-      summary.passed++;
-    } else if (result.status === "failed") {
-      summary.failed++;
-    } else if (result.status === "skipped") {
-      summary.skipped++;
-    }
+    countResult(summary, result);
     
-    if (result.retry > 0) {
-      summary.flaky++;
+    const project = result.project || "default";
+    if (!summary.byProject[project]) {
+      summary.byProject[project] = createSummaryCounts();
     }
-    
-    summary.duration += result.duration || 0;
+    countResult(summary.byProject[project], result);
   });
   
   return summary;
 }
 
+/**
+ * Builds a key that identifies a test across runs
+ * @param {Object} result - Simplified test result
+ * @returns {string} - Test key
+ */
+function getTestKey(result) {
+  const parts = [result.file, result.suite, result.title];
+  
+  if (result.project) {
+    parts.push(result.project);
+  }
+  
+  return parts.join(" › ");
+}
+
+/**
+ * Collapses retry attempts into the final attempt of each test
+ * @param {Array} results - Simplified test results (one entry per attempt)
+ * @returns {Map<string, Object>} - Final attempt per test key
+ */
+function getFinalResults(results) {
+  const finalResults = new Map();
+  
+  (results || []).forEach(result => {
+    const key = getTestKey(result);
+    const current = finalResults.get(key);
+    
+    if (!current || (result.retry || 0) >= (current.retry || 0)) {
+      finalResults.set(key, result);
+    }
+  });
+  
+  return finalResults;
+}
+
+/**
+ * Gets the error message of a failed test result without terminal colors
+ * @param {Object} result - Simplified test result
+ * @param {number} maxLength - Truncate the message to this many characters (optional)
+ * @returns {string|null} - First line of the error, or null if the result has no error
+ */
+function getErrorMessage(result, maxLength) {
+  if (!result || !result.error || !result.error.stack) {
+    return null;
+  }
+  
+  const message = stripVTControlCharacters(result.error.stack).split("\n")[0].trim();
+  return maxLength ? message.slice(0, maxLength) : message;
+}
+
 /**
  * Saves test results to files for later reference
  * @param {Object} fullReport - Full Playwright JSON report
  * @param {Array} simplifiedResults - Simplified test results
+ * @param {Object} options - Save options
+ * @param {string} options.outputDir - Isolated run directory; the summary is saved there
+ *   next to the report Playwright already wrote, instead of timestamped report files
+ * @param {string} options.runId - ID of the run the results belong to
+ * @param {Array} options.quarantined - Quarantine entries excluded from the run
  * @returns {Promise<Object>} - Result of saving the files
  */
-async function saveTestResults(fullReport, simplifiedResults) {
+async function saveTestResults(fullReport, simplifiedResults, options = {}) {
   try {
     // Create the report directory if it doesn't exist
     const reportDirPath = pathUtils.getSafeCategoryPath(config.REPORT_CATEGORY);
@@ -383,47 +1614,293 @@ async function saveTestResults(fullReport, simplifiedResults) {
     // Generate timestamp for filenames
     const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
     
-    // Save full report
-    const fullReportResult = await fileUtils.saveDataToFile(
-      config.REPORT_CATEGORY,
-      `full-report-${timestamp}.json`,
-      fullReport
-    );
+    const quarantined = options.quarantined || [];
+    const summaryData = {
+      runId: options.runId,
+      timestamp,
+      summary: { ...calculateTestSummary(simplifiedResults), quarantined: quarantined.length },
+      results: simplifiedResults,
+      quarantined
+    };
     
-    // Save simplified results
-    const simplifiedResult = await fileUtils.saveDataToFile(
-      config.REPORT_CATEGORY,
-      `summary-${timestamp}.json`,
-      {
-        timestamp,
-        summary: calculateTestSummary(simplifiedResults),
-        results: simplifiedResults
-      }
-    );
+    let saveResult;
+    
+    if (options.outputDir) {
+      // Each run owns its directory, so concurrent runs never write the same files
+      const summaryPath = path.join(options.outputDir, config.RUN_OUTPUT.SUMMARY);
+      await fs.writeFile(summaryPath, JSON.stringify(summaryData, null, 2), "utf8");
+      
+      saveResult = {
+        success: true,
+        fullReportPath: pathUtils.getRelativePath(path.join(options.outputDir, config.RUN_OUTPUT.JSON_REPORT)),
+        summaryPath: pathUtils.getRelativePath(summaryPath)
+      };
+    } else {
+      // Save full report
+      const fullReportResult = await fileUtils.saveDataToFile(
+        config.REPORT_CATEGORY,
+        `full-report-${timestamp}.json`,
+        fullReport
+      );
+      
+      // Save simplified results
+      const simplifiedResult = await fileUtils.saveDataToFile(
+        config.REPORT_CATEGORY,
+        `summary-${timestamp}.json`,
+        summaryData
+      );
+      
+      saveResult = {
+        success: fullReportResult.success && simplifiedResult.success,
+        fullReportPath: fullReportResult.relativePath,
+        summaryPath: simplifiedResult.relativePath
+      };
+    }
     
     // Also save to a fixed filename for easy access to latest results
     await fileUtils.saveDataToFile(
       config.REPORT_CATEGORY,
       config.RESULT_FILE,
-      {
-        timestamp,
-        summary: calculateTestSummary(simplifiedResults),
-        results: simplifiedResults
-      },
+      summaryData,
       { overwrite: true }
     );
     
-    return {
-      success: fullReportResult.success && simplifiedResult.success,
-      fullReportPath: fullReportResult.relativePath,
-      summaryPath: simplifiedResult.relativePath
-    };
+    return saveResult;
   } catch (error) {
     console.error("[ERROR] Failed to save test results:", error);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Gets the output directory of an isolated run
+ * @param {string} runId - Run ID
+ * @returns {string|null} - Absolute directory path or null if invalid
+ */
+function getRunOutputDir(runId) {
+  return pathUtils.getSafeFilePath(config.RUNS_CATEGORY, runId);
+}
+
+/**
+ * Loads the saved summary and simplified results of an isolated run
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} - Saved summary data or null if unavailable
+ */
+async function getRunSummary(runId) {
+  const outputDir = getRunOutputDir(runId);
+  if (!outputDir) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(await fs.readFile(path.join(outputDir, config.RUN_OUTPUT.SUMMARY), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Merges fields into the saved summary of an isolated run
+ * @param {string} runId - Run ID
+ * @param {Object} updates - Fields to set on the summary data
+ * @returns {Promise<boolean>} - Whether the summary was updated
+ */
+async function updateRunSummary(runId, updates) {
+  const summaryData = await getRunSummary(runId);
+  if (!summaryData) {
+    return false;
+  }
+  
+  const summaryPath = path.join(getRunOutputDir(runId), config.RUN_OUTPUT.SUMMARY);
+  await fs.writeFile(summaryPath, JSON.stringify({ ...summaryData, ...updates }, null, 2), "utf8");
+  return true;
+}
+
+/**
+ * Merges Playwright JSON reports of shards into one report
+ * @param {Array<Object|null>} reports - JSON reports (missing ones are skipped)
+ * @returns {Object|null} - Combined report or null if there is none
+ */
+function mergeJsonReports(reports) {
+  const available = reports.filter(Boolean);
+  if (available.length === 0) {
+    return null;
+  }
+  
+  const stats = available.map(report => report.stats || {});
+  const startTimes = stats.map(s => new Date(s.startTime).getTime()).filter(Number.isFinite);
+  const endTimes = stats.map(s => new Date(s.startTime).getTime() + (s.duration || 0)).filter(Number.isFinite);
+  const startTime = startTimes.length ? Math.min(...startTimes) : Date.now();
+  const sum = (field) => stats.reduce((total, s) => total + (s[field] || 0), 0);
+  
+  return {
+    config: { ...available[0].config, shard: null },
+    suites: available.flatMap(report => report.suites || []),
+    errors: available.flatMap(report => report.errors || []),
+    stats: {
+      startTime: new Date(startTime).toISOString(),
+      duration: endTimes.length ? Math.max(...endTimes) - startTime : 0,
+      expected: sum("expected"),
+      skipped: sum("skipped"),
+      unexpected: sum("unexpected"),
+      flaky: sum("flaky")
+    }
+  };
+}
+
+/**
+ * Combines the JSON reports of a sharded run's shards into the run's own output directory
+ * @param {string} runId - ID of the sharded run
+ * @param {Array<string>} shardRunIds - IDs of its shard runs
+ * @param {Object} options - Merge options
+ * @param {Array} options.quarantined - Quarantine entries excluded from the shards
+ * @returns {Promise<Object>} - Merged report, results and summary, or error with HTTP code
+ */
+async function mergeShardResults(runId, shardRunIds, options = {}) {
+  const outputDir = getRunOutputDir(runId);
+  const quarantined = options.quarantined || [];
+  
+  const reports = await Promise.all(shardRunIds.map(async shardRunId => {
+    try {
+      const content = await fs.readFile(path.join(getRunOutputDir(shardRunId), config.RUN_OUTPUT.JSON_REPORT), "utf8");
+      return JSON.parse(content);
+    } catch {
+      return null;
+    }
+  }));
+  
+  const fullReport = mergeJsonReports(reports);
+  if (!fullReport) {
+    return { error: "None of the shards produced a JSON report", code: 500 };
+  }
+  
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(path.join(outputDir, config.RUN_OUTPUT.JSON_REPORT), JSON.stringify(fullReport, null, 2), "utf8");
+  
+  const simpleResults = extractSimplifiedResults(fullReport);
+  const summary = calculateTestSummary(simpleResults);
+  summary.quarantined = quarantined.length;
+  
+  await saveTestResults(fullReport, simpleResults, { outputDir, runId, quarantined });
+  
+  return {
+    success: true,
+    fullReport,
+    simpleResults,
+    summary,
+    missingShards: shardRunIds.filter((shardRunId, index) => !reports[index])
+  };
+}
+
+/**
+ * Lists the files in the artifacts folder of an isolated run
+ * @param {string} runId - Run ID
+ * @returns {Promise<Array|null>} - Artifacts as { path, size, url }, or null if the run has no output directory
+ */
+async function listRunArtifacts(runId) {
+  const outputDir = getRunOutputDir(runId);
+  if (!outputDir || !await fileUtils.fileExists(outputDir)) {
+    return null;
+  }
+  
+  const artifactsDir = path.join(outputDir, config.RUN_OUTPUT.ARTIFACTS);
+  const artifacts = [];
+  
+  const walk = async (dir) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      
+      // Playwright's own bookkeeping files (e.g. .last-run.json) are not artifacts
+      if (entry.name.startsWith(".")) {
+        continue;
+      }
+      
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (entry.isFile()) {
+        const relativePath = path.relative(artifactsDir, entryPath).split(path.sep);
+        const stats = await fs.stat(entryPath);
+        artifacts.push({
+          path: relativePath.join("/"),
+          size: stats.size,
+          url: `/api/tests/runs/${runId}/artifacts/${relativePath.map(encodeURIComponent).join("/")}`
+        });
+      }
+    }
+  };
+  
+  await walk(artifactsDir);
+  return artifacts;
+}
+
+/**
+ * Lists the output directories of isolated runs, newest first
+ * @returns {Promise<Array>} - Run outputs with their saved summary and HTML report status
+ */
+async function listRunOutputs() {
+  const runsPath = pathUtils.getSafeCategoryPath(config.RUNS_CATEGORY);
+  
+  let entries;
+  try {
+    entries = await fs.readdir(runsPath, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+  
+  const outputs = await Promise.all(
+    entries
+      .filter(entry => entry.isDirectory())
+      .map(async (entry) => {
+        const outputDir = path.join(runsPath, entry.name);
+        
+        // The JSON report is written once, unlike the directory itself which changes when reports are pruned
+        const stats = await fs.stat(path.join(outputDir, config.RUN_OUTPUT.JSON_REPORT))
+          .catch(() => fs.stat(outputDir));
+        
+        let summaryData = null;
+        try {
+          summaryData = JSON.parse(await fs.readFile(path.join(outputDir, config.RUN_OUTPUT.SUMMARY), "utf8"));
+        } catch {
+          // Runs that failed to produce a JSON report have no summary
+        }
+        
+        return {
+          runId: entry.name,
+          outputDir,
+          modified: stats.mtime,
+          hasHtmlReport: await fileUtils.fileExists(path.join(outputDir, config.RUN_OUTPUT.HTML_REPORT, "index.html")),
+          timestamp: summaryData ? summaryData.timestamp : null,
+          summary: summaryData ? summaryData.summary : null
+        };
+      })
+  );
+  
+  return outputs.sort((a, b) => b.modified - a.modified);
+}
+
+/**
+ * Deletes the HTML reports of older runs, keeping the most recent ones.
+ * JSON reports and summaries are left in place.
+ * @param {number} retention - Number of HTML reports to keep
+ * @returns {Promise<Array<string>>} - IDs of the runs whose HTML report was deleted
+ */
+async function pruneHtmlReports(retention = config.HTML_REPORT_RETENTION) {
+  const outputs = (await listRunOutputs()).filter(output => output.hasHtmlReport);
+  const expired = outputs.slice(Math.max(retention, 0));
+  
+  for (const output of expired) {
+    await fs.rm(path.join(output.outputDir, config.RUN_OUTPUT.HTML_REPORT), { recursive: true, force: true });
+    console.log(`[INFO] Pruned HTML report of run ${output.runId}`);
+  }
+  
+  return expired.map(output => output.runId);
+}
+
 /**
  * Gets the latest test results
  * @returns {Promise<Object>} - Latest test results or error
@@ -453,10 +1930,34 @@ async function getLatestTestResults() {
 pathUtils.registerSafeDirectory(config.TEST_CATEGORY, config.TEST_CATEGORY);
 pathUtils.registerSafeDirectory(config.REPORT_CATEGORY, config.REPORT_CATEGORY);
 pathUtils.registerSafeDirectory(config.TEMP_CATEGORY, config.TEMP_CATEGORY);
+pathUtils.registerSafeDirectory(config.RUNS_CATEGORY, config.RUNS_CATEGORY);
 
 module.exports = {
   runPlaywrightTests,
+  validateTestOptions,
+  parseConfigOverrides,
+  parseTestSelection,
+  parseProjects,
+  parseRunOptions,
+  listTests,
+  createTestWorkspace,
+  removeTestWorkspace,
+  getWorkspaceDir,
+  killProcessTree,
   prepareTestFile,
   getLatestTestResults,
+  getRunOutputDir,
+  getRunSummary,
+  updateRunSummary,
+  listRunOutputs,
+  listRunArtifacts,
+  pruneHtmlReports,
+  mergeShardResults,
+  extractSimplifiedResults,
+  calculateTestSummary,
+  getTestKey,
+  getFinalResults,
+  getErrorMessage,
+  buildTestGrepPattern,
   config
 };
\ No newline at end of file
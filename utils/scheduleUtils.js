@@ -0,0 +1,430 @@
+const path = require("path");
+const crypto = require("crypto");
+const cronUtils = require("./cronUtils");
+const runTestsUtils = require("./runTestsUtils");
+const testJobUtils = require("./testJobUtils");
+const fileUtils = require("./fileUtils");
+const pathUtils = require("./pathUtils");
+const properties = require("./properties");
+const logger = require("./logUtils");
+
+/**
+ * Configuration for scheduled test runs
+ */
+const config = {
+  SCHEDULE_CATEGORY: properties.CATEGORIES.REPORTS,
+  SCHEDULE_FILE: "schedules.json",
+  DEFAULT_CATEGORY: properties.CATEGORIES.PLAYWRIGHT,
+  MAX_TIMER_DELAY: 60 * 60 * 1000, // The timer is re-armed at least hourly, so clock changes are picked up
+  MAX_NAME_LENGTH: 100,
+  SPEC_EXTENSIONS: [".js", ".ts", ".mjs", ".cjs", ".jsx", ".tsx"],
+  // Fields of a schedule definition that can be set and updated
+  DEFINITION_FIELDS: ["name", "cron", "category", "testFile", "options", "priority", "label", "shards", "enabled"]
+};
+
+// In-memory copy of the schedule file, loaded on first use
+const scheduleStore = fileUtils.createJsonStore({
+  category: config.SCHEDULE_CATEGORY,
+  fileName: config.SCHEDULE_FILE,
+  key: "schedules",
+  description: "schedules"
+});
+
+// Timer of the next due schedule
+const timerState = {
+  timer: null
+};
+
+/**
+ * Resolves what a schedule runs: a spec file, or a whole category
+ * @param {Object} definition - Schedule definition
+ * @returns {Promise<Object>} - { type, target } for testJobUtils.createRun, or error with HTTP code
+ */
+async function resolveScheduleTarget(definition) {
+  const categoryPath = pathUtils.getSafeCategoryPath(definition.category);
+  if (!categoryPath) {
+    return { error: `Invalid category path: ${definition.category}`, code: 400 };
+  }
+
+  if (!definition.testFile) {
+    if (!await fileUtils.fileExists(categoryPath)) {
+      return { error: `Category not found: ${definition.category}`, code: 404 };
+    }
+
+    return { type: "all", target: categoryPath };
+  }
+
+  const fileExt = path.extname(definition.testFile).toLowerCase();
+  if (!config.SPEC_EXTENSIONS.includes(fileExt)) {
+    return { error: `Invalid test file type. Only JavaScript and TypeScript files are allowed. Got: ${fileExt}`, code: 400 };
+  }
+
+  const testFilePath = pathUtils.getSafeFilePath(definition.category, definition.testFile);
+  if (!testFilePath) {
+    return { error: `Invalid test file path: ${definition.testFile}`, code: 400 };
+  }
+
+  if (!await fileUtils.fileExists(testFilePath)) {
+    return { error: `Test file not found: ${definition.testFile}`, code: 404 };
+  }
+
+  return { type: "spec", target: testFilePath };
+}
+
+/**
+ * Validates a schedule definition and normalizes its fields
+ * @param {Object} params - Schedule definition (see createSchedule)
+ * @returns {Promise<Object>} - { definition }, or error with HTTP code
+ */
+async function validateDefinition(params) {
+  if (!params.name || typeof params.name !== "string" || params.name.length > config.MAX_NAME_LENGTH) {
+    return { error: `A 'name' of at most ${config.MAX_NAME_LENGTH} characters is required`, code: 400 };
+  }
+
+  const cron = cronUtils.parseCron(params.cron);
+  if (cron.error) {
+    return { error: `Invalid cron expression: ${cron.error}`, code: 400 };
+  }
+
+  if (params.category !== undefined && params.category !== null && (typeof params.category !== "string" || !params.category.trim())) {
+    return { error: "'category' must be a non-empty string", code: 400 };
+  }
+
+  if (params.options !== undefined && (!params.options || typeof params.options !== "object" || Array.isArray(params.options))) {
+    return { error: "'options' must be an object of run parameters", code: 400 };
+  }
+
+  const runOptions = await runTestsUtils.parseRunOptions(params.options || {});
+  if (runOptions.error) {
+    return runOptions;
+  }
+
+  const priority = testJobUtils.parsePriority(params.priority);
+  if (Number.isNaN(priority)) {
+    return { error: "Priority must be an integer", code: 400 };
+  }
+
+  const shards = params.shards === undefined || params.shards === null ? 1 : Number(params.shards);
+  if (!Number.isInteger(shards) || shards < 1 || shards > testJobUtils.config.MAX_SHARDS) {
+    return { error: `Shards must be an integer between 1 and ${testJobUtils.config.MAX_SHARDS}`, code: 400 };
+  }
+
+  if (shards > 1 && params.testFile) {
+    return { error: "Only category schedules can be sharded", code: 400 };
+  }
+
+  const definition = {
+    name: params.name.trim(),
+    cron: params.cron.trim(),
+    category: params.category ? params.category.trim() : config.DEFAULT_CATEGORY,
+    testFile: params.testFile || null,
+    options: params.options || {},
+    priority: priority === undefined ? null : priority,
+    label: params.label || null,
+    shards,
+    enabled: params.enabled === undefined ? true : String(params.enabled) === "true"
+  };
+
+  const target = await resolveScheduleTarget(definition);
+  if (target.error) {
+    return target;
+  }
+
+  return { definition };
+}
+
+/**
+ * Builds the client view of a schedule
+ * @param {Object} schedule - Stored schedule
+ * @returns {Object} - Schedule with links to its runs
+ */
+function toScheduleView(schedule) {
+  return {
+    ...schedule,
+    runsUrl: `/api/schedules/${schedule.id}/runs`,
+    lastRunUrl: schedule.lastRunId ? `/api/tests/runs/${schedule.lastRunId}` : null
+  };
+}
+
+/**
+ * Computes the next fire time of a schedule
+ * @param {Object} schedule - Schedule
+ * @param {Date} after - Find the first fire time after this (default: now)
+ * @returns {string|null} - ISO 8601 time, or null if disabled or never firing
+ */
+function computeNextFireAt(schedule, after = new Date()) {
+  if (!schedule.enabled) {
+    return null;
+  }
+
+  const next = cronUtils.getNextFireTime(schedule.cron, after);
+  return next ? next.toISOString() : null;
+}
+
+/**
+ * Lists the schedules
+ * @returns {Promise<Array>} - Schedules with their next and last fire times
+ */
+async function listSchedules() {
+  const schedules = await scheduleStore.load();
+  return schedules.map(toScheduleView);
+}
+
+/**
+ * Gets a schedule
+ * @param {string} id - Schedule ID
+ * @returns {Promise<Object>} - Schedule, or error with HTTP code
+ */
+async function getSchedule(id) {
+  const schedules = await scheduleStore.load();
+  const schedule = schedules.find(entry => entry.id === id);
+
+  if (!schedule) {
+    return { error: `Schedule not found: ${id}`, code: 404 };
+  }
+
+  return { schedule: toScheduleView(schedule) };
+}
+
+/**
+ * Creates a schedule
+ * @param {Object} params - Schedule definition
+ * @param {string} params.name - Display name
+ * @param {string} params.cron - Cron expression (minute hour day-of-month month day-of-week, server local time)
+ * @param {string} params.category - Category to run (default: playwright)
+ * @param {string} params.testFile - Spec file in the category; the whole category runs when not given
+ * @param {Object} params.options - Run parameters as accepted by POST /api/tests/all (browsers, tags, envProfile, ...)
+ * @param {number} params.priority - Queue priority of the runs
+ * @param {string} params.label - Label of the runs
+ * @param {number} params.shards - Shards of category runs (default: 1)
+ * @param {boolean} params.enabled - Whether the schedule fires (default: true)
+ * @param {string} createdBy - Who created the schedule
+ * @returns {Promise<Object>} - Created schedule, or error with HTTP code
+ */
+async function createSchedule(params = {}, createdBy = null) {
+  const validated = await validateDefinition(params);
+  if (validated.error) {
+    return validated;
+  }
+
+  const schedules = await scheduleStore.load();
+  const schedule = {
+    id: crypto.randomUUID(),
+    ...validated.definition,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    nextFireAt: null,
+    lastFiredAt: null,
+    lastRunId: null,
+    lastError: null,
+    runCount: 0
+  };
+  schedule.nextFireAt = computeNextFireAt(schedule);
+
+  schedules.push(schedule);
+  await scheduleStore.persist();
+  armTimer();
+
+  logger.info(`Schedule "${schedule.name}" created (${schedule.cron}), next fire at ${schedule.nextFireAt}`);
+  return { schedule: toScheduleView(schedule) };
+}
+
+/**
+ * Updates a schedule; fields that are not given keep their value
+ * @param {string} id - Schedule ID
+ * @param {Object} params - Fields to change (see createSchedule)
+ * @returns {Promise<Object>} - Updated schedule, or error with HTTP code
+ */
+async function updateSchedule(id, params = {}) {
+  const schedules = await scheduleStore.load();
+  const schedule = schedules.find(entry => entry.id === id);
+
+  if (!schedule) {
+    return { error: `Schedule not found: ${id}`, code: 404 };
+  }
+
+  const current = Object.fromEntries(config.DEFINITION_FIELDS.map(field => [field, schedule[field]]));
+  const changes = Object.fromEntries(config.DEFINITION_FIELDS
+    .filter(field => params[field] !== undefined)
+    .map(field => [field, params[field]]));
+
+  const validated = await validateDefinition({ ...current, ...changes });
+  if (validated.error) {
+    return validated;
+  }
+
+  Object.assign(schedule, validated.definition, { updatedAt: new Date().toISOString() });
+  schedule.nextFireAt = computeNextFireAt(schedule);
+
+  await scheduleStore.persist();
+  armTimer();
+
+  logger.info(`Schedule "${schedule.name}" updated, next fire at ${schedule.nextFireAt}`);
+  return { schedule: toScheduleView(schedule) };
+}
+
+/**
+ * Deletes a schedule; runs it created are kept
+ * @param {string} id - Schedule ID
+ * @returns {Promise<Object>} - Deleted schedule, or error with HTTP code
+ */
+async function deleteSchedule(id) {
+  const schedules = await scheduleStore.load();
+  const index = schedules.findIndex(entry => entry.id === id);
+
+  if (index === -1) {
+    return { error: `Schedule not found: ${id}`, code: 404 };
+  }
+
+  const [schedule] = schedules.splice(index, 1);
+  await scheduleStore.persist();
+  armTimer();
+
+  logger.info(`Schedule "${schedule.name}" deleted`);
+  return { schedule };
+}
+
+/**
+ * Queues a run for a schedule.
+ * A schedule whose previous run is still queued or running is skipped, so runs never pile up.
+ * @param {Object} schedule - Stored schedule (updated in place)
+ * @returns {Promise<Object>} - Created run, or error with HTTP code
+ */
+async function fireSchedule(schedule) {
+  const previous = schedule.lastRunId ? testJobUtils.getRun(schedule.lastRunId) : null;
+  if (previous && !testJobUtils.isFinished(previous)) {
+    schedule.lastError = `Skipped at ${new Date().toISOString()}: run ${previous.id} is still ${previous.status}`;
+    return { error: schedule.lastError, code: 409 };
+  }
+
+  // Targets and options are checked again: specs, categories and profiles may have changed since
+  const target = await resolveScheduleTarget(schedule);
+  const runOptions = target.error ? null : await runTestsUtils.parseRunOptions(schedule.options);
+  const failure = target.error ? target : runOptions.error ? runOptions : null;
+
+  if (failure) {
+    schedule.lastError = failure.error;
+    logger.error(`Schedule "${schedule.name}" could not start a run: ${failure.error}`);
+    return failure;
+  }
+
+  const run = testJobUtils.createRun({
+    type: target.type,
+    target: target.target,
+    testFile: schedule.testFile,
+    category: schedule.category,
+    options: target.type === "spec" ? { ...runOptions.options, pathCategory: schedule.category } : runOptions.options,
+    priority: schedule.priority === null ? undefined : schedule.priority,
+    label: schedule.label,
+    triggeredBy: `schedule:${schedule.name}`,
+    scheduleId: schedule.id,
+    shards: schedule.shards
+  });
+
+  schedule.lastFiredAt = new Date().toISOString();
+  schedule.lastRunId = run.id;
+  schedule.lastError = null;
+  schedule.runCount++;
+
+  logger.info(`Schedule "${schedule.name}" queued test run ${run.id}`);
+  return { run };
+}
+
+/**
+ * Fires a schedule now, outside its cron times
+ * @param {string} id - Schedule ID
+ * @returns {Promise<Object>} - Created run, or error with HTTP code
+ */
+async function triggerSchedule(id) {
+  const schedules = await scheduleStore.load();
+  const schedule = schedules.find(entry => entry.id === id);
+
+  if (!schedule) {
+    return { error: `Schedule not found: ${id}`, code: 404 };
+  }
+
+  const result = await fireSchedule(schedule);
+  await scheduleStore.persist();
+
+  return result;
+}
+
+/**
+ * Fires every due schedule and re-arms the timer
+ * @returns {Promise<void>}
+ */
+async function runDueSchedules() {
+  const schedules = await scheduleStore.load();
+  const now = new Date();
+  const due = schedules.filter(schedule => schedule.enabled && schedule.nextFireAt && new Date(schedule.nextFireAt) <= now);
+
+  for (const schedule of due) {
+    try {
+      await fireSchedule(schedule);
+    } catch (error) {
+      schedule.lastError = error.message;
+      logger.error(`Schedule "${schedule.name}" failed to fire`, error);
+    }
+
+    schedule.nextFireAt = computeNextFireAt(schedule, now);
+  }
+
+  if (due.length > 0) {
+    await scheduleStore.persist();
+  }
+
+  armTimer();
+}
+
+/**
+ * Sets the timer for the earliest next fire time
+ */
+function armTimer() {
+  clearTimeout(timerState.timer);
+
+  const nextTimes = (scheduleStore.peek() || [])
+    .filter(schedule => schedule.enabled && schedule.nextFireAt)
+    .map(schedule => new Date(schedule.nextFireAt).getTime());
+
+  if (nextTimes.length === 0) {
+    timerState.timer = null;
+    return;
+  }
+
+  const delay = Math.min(Math.max(Math.min(...nextTimes) - Date.now(), 0), config.MAX_TIMER_DELAY);
+  timerState.timer = setTimeout(() => {
+    runDueSchedules().catch(error => logger.error("Failed to run due schedules", error));
+  }, delay);
+  timerState.timer.unref();
+}
+
+/**
+ * Starts the scheduler. Fire times missed while the server was down are skipped.
+ * @returns {Promise<number>} - Number of enabled schedules
+ */
+async function startScheduler() {
+  const schedules = await scheduleStore.load();
+
+  schedules.forEach(schedule => {
+    schedule.nextFireAt = computeNextFireAt(schedule);
+  });
+
+  if (schedules.length > 0) {
+    await scheduleStore.persist();
+  }
+
+  armTimer();
+  return schedules.filter(schedule => schedule.enabled).length;
+}
+
+module.exports = {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  triggerSchedule,
+  startScheduler,
+  config
+};
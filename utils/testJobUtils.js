@@ -0,0 +1,812 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs").promises;
+const runTestsUtils = require("./runTestsUtils");
+const historyUtils = require("./historyUtils");
+const flakyUtils = require("./flakyUtils");
+const failureClusterUtils = require("./failureClusterUtils");
+const envProfileUtils = require("./envProfileUtils");
+const webhookUtils = require("./webhookUtils");
+const pathUtils = require("./pathUtils");
+const fileUtils = require("./fileUtils");
+const properties = require("./properties");
+const logger = require("./logUtils");
+
+/**
+ * Configuration for test run jobs
+ */
+const config = {
+  MAX_STORED_RUNS: 100, // Finished runs kept in memory before the oldest are evicted
+  MAX_BUFFERED_EVENTS: 5000, // Stream events kept per run for late subscribers
+  MAX_CONCURRENT_RUNS: properties.MAX_CONCURRENT_RUNS,
+  DEFAULT_PRIORITY: 0,
+  MAX_SHARDS: 16,
+  STATUSES: {
+    QUEUED: "queued",
+    RUNNING: "running",
+    PASSED: "passed",
+    FAILED: "failed",
+    ERROR: "error",
+    CANCELLED: "cancelled"
+  }
+};
+
+// In-memory registry of test runs (in creation order) and their stream events
+const runRegistry = {
+  runs: new Map(),
+  events: new Map(),
+  listeners: new Map(),
+  processes: new Map()
+};
+
+// Runs waiting for a free slot, highest priority first and FIFO within a priority
+const runQueue = {
+  pending: [],
+  activeCount: 0,
+  sequence: 0
+};
+
+/**
+ * Parses an optional run priority
+ * @param {string|number|undefined} value - Raw priority value
+ * @returns {number|undefined} - Integer priority, undefined if not given, or NaN if invalid
+ */
+function parsePriority(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  
+  const priority = Number(value);
+  return Number.isInteger(priority) ? priority : NaN;
+}
+
+/**
+ * Generates a unique run ID
+ * @returns {string} - Run ID
+ */
+function generateRunId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Checks whether a run has reached a final state
+ * @param {Object} run - Run record
+ * @returns {boolean} - Whether the run is finished
+ */
+function isFinished(run) {
+  return ![config.STATUSES.QUEUED, config.STATUSES.RUNNING].includes(run.status);
+}
+
+/**
+ * Removes the oldest finished runs once the registry exceeds its limit
+ */
+function evictOldRuns() {
+  for (const [id, run] of runRegistry.runs) {
+    if (runRegistry.runs.size <= config.MAX_STORED_RUNS) {
+      break;
+    }
+
+    if (isFinished(run)) {
+      runRegistry.runs.delete(id);
+      runRegistry.events.delete(id);
+      runRegistry.listeners.delete(id);
+    }
+  }
+}
+
+/**
+ * Buffers a stream event for a run and notifies its listeners
+ * @param {Object} run - Run record
+ * @param {Object} event - Event payload (must include a type)
+ */
+function pushRunEvent(run, event) {
+  const events = runRegistry.events.get(run.id) || [];
+  const entry = {
+    seq: events.length ? events[events.length - 1].seq + 1 : 1,
+    timestamp: new Date().toISOString(),
+    ...event
+  };
+  
+  events.push(entry);
+  
+  // Trim buffer if it exceeds the limit
+  if (events.length > config.MAX_BUFFERED_EVENTS) {
+    events.shift();
+  }
+  
+  runRegistry.events.set(run.id, events);
+  
+  // Notify all listeners
+  (runRegistry.listeners.get(run.id) || []).forEach(listener => {
+    try {
+      listener(entry);
+    } catch (err) {
+      console.error("Error in run listener:", err);
+    }
+  });
+}
+
+/**
+ * Announces the end of a run, records it in the run history and notifies webhooks
+ * @param {Object} run - Finished run record
+ * @returns {Promise<void>}
+ */
+async function finishRun(run) {
+  await clusterRunFailures(run);
+  
+  pushRunEvent(run, {
+    type: "end",
+    status: run.status,
+    summary: run.summary,
+    error: run.error
+  });
+  
+  try {
+    await historyUtils.recordRun(run);
+  } catch (error) {
+    logger.error(`Failed to record test run ${run.id} in history`, error);
+  }
+  
+  // Deliveries retry in the background and must not hold up the queue
+  webhookUtils.notifyRunFinished(run)
+    .catch(error => logger.error(`Failed to notify webhooks of test run ${run.id}`, error));
+  
+  if (run.shard) {
+    await completeShard(run);
+  }
+  
+  if (run.workspace && !run.workspace.keep) {
+    await discardWorkspace(run);
+  }
+}
+
+/**
+ * Groups the failures of a finished run by error signature
+ * and stores the clusters with the run's saved summary
+ * @param {Object} run - Finished run record
+ * @returns {Promise<void>}
+ */
+async function clusterRunFailures(run) {
+  run.failureClusters = run.results ? failureClusterUtils.clusterFailures(run.results) : null;
+  
+  if (!run.failureClusters || !run.failureClusters.length || !run.outputPath) {
+    return;
+  }
+  
+  try {
+    await runTestsUtils.updateRunSummary(run.id, { failureClusters: run.failureClusters });
+  } catch (error) {
+    logger.error(`Failed to save the failure clusters of test run ${run.id}`, error);
+  }
+}
+
+/**
+ * Deletes the upload workspace of a finished run
+ * @param {Object} run - Finished run record with a workspace
+ * @returns {Promise<void>}
+ */
+async function discardWorkspace(run) {
+  try {
+    await runTestsUtils.removeTestWorkspace(run.workspace.id);
+    run.workspace.removed = true;
+  } catch (error) {
+    logger.error(`Failed to remove workspace ${run.workspace.id} of test run ${run.id}`, error);
+  }
+}
+
+/**
+ * Deletes a kept upload workspace once no queued or running run uses it
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} - Result or error with HTTP code
+ */
+async function removeWorkspace(workspaceId) {
+  const runs = Array.from(runRegistry.runs.values())
+    .filter(run => run.workspace && run.workspace.id === workspaceId);
+  
+  const active = runs.find(run => !isFinished(run));
+  if (active) {
+    return { error: `Workspace ${workspaceId} is in use by test run ${active.id}`, code: 409 };
+  }
+  
+  const result = await runTestsUtils.removeTestWorkspace(workspaceId);
+  if (result.error) {
+    return result;
+  }
+  
+  runs.forEach(run => {
+    run.workspace.removed = true;
+  });
+  
+  logger.info(`Workspace ${workspaceId} removed`);
+  return result;
+}
+
+/**
+ * Records a finished shard on its sharded run and finishes that run once every shard is done
+ * @param {Object} shardRun - Finished shard run record
+ * @returns {Promise<void>}
+ */
+async function completeShard(shardRun) {
+  const parent = getRun(shardRun.parentRunId);
+  if (!parent || isFinished(parent)) {
+    return;
+  }
+  
+  const shard = parent.shards.find(entry => entry.runId === shardRun.id);
+  shard.status = shardRun.status;
+  shard.exitCode = shardRun.exitCode;
+  
+  if (parent.shards.every(isFinished)) {
+    await finishShardedRun(parent);
+  }
+}
+
+/**
+ * Merges the shard reports of a sharded run into one result and finishes the run
+ * @param {Object} run - Sharded run record whose shards have all finished
+ * @returns {Promise<void>}
+ */
+async function finishShardedRun(run) {
+  const shardRuns = run.shards.map(shard => getRun(shard.runId)).filter(Boolean);
+  const statuses = run.shards.map(shard => shard.status);
+  const cancelled = run.cancelRequested || statuses.includes(config.STATUSES.CANCELLED);
+  
+  // Every shard applies the same quarantine
+  const quarantined = new Map();
+  shardRuns.forEach(shardRun => (shardRun.quarantined || []).forEach(entry => quarantined.set(entry.id, entry)));
+  run.quarantined = Array.from(quarantined.values());
+  
+  try {
+    const merged = await runTestsUtils.mergeShardResults(run.id, run.shards.map(shard => shard.runId), {
+      quarantined: run.quarantined
+    });
+    run.outputPath = pathUtils.getRelativePath(runTestsUtils.getRunOutputDir(run.id));
+    
+    if (merged.error) {
+      // Shards cancelled before they started leave nothing to merge
+      run.error = cancelled ? null : merged.error;
+    } else {
+      run.results = merged.simpleResults;
+      run.summary = merged.summary;
+      run.fullReport = merged.fullReport;
+      await tagKnownFlakyResults(run);
+    }
+  } catch (error) {
+    logger.error(`Failed to merge the shard reports of run ${run.id}`, error);
+    run.error = "Failed to merge the shard reports";
+  }
+  
+  if (cancelled) {
+    run.status = config.STATUSES.CANCELLED;
+  } else if (statuses.includes(config.STATUSES.ERROR) || run.error) {
+    run.status = config.STATUSES.ERROR;
+    run.error = run.error || `Shard(s) ${run.shards.filter(shard => shard.status === config.STATUSES.ERROR).map(shard => shard.index).join(", ")} failed to run`;
+  } else {
+    run.status = statuses.includes(config.STATUSES.FAILED) ? config.STATUSES.FAILED : config.STATUSES.PASSED;
+  }
+  
+  run.exitCode = Math.max(...run.shards.map(shard => shard.exitCode || 0));
+  run.finishedAt = new Date().toISOString();
+  if (run.startedAt) {
+    run.duration = new Date(run.finishedAt) - new Date(run.startedAt);
+  }
+  
+  logger.info(`Sharded test run ${run.id} finished with status ${run.status} across ${run.shards.length} shards`);
+  await finishRun(run);
+}
+
+/**
+ * Tags results of a finished run whose tests are known to be flaky from earlier runs
+ * and stores the tags with the run's saved summary
+ * @param {Object} run - Run record with results
+ * @returns {Promise<void>}
+ */
+async function tagKnownFlakyResults(run) {
+  if (!run.results || !run.results.length) {
+    return;
+  }
+  
+  try {
+    const knownFlaky = await flakyUtils.tagKnownFlaky(run.results, { excludeRunId: run.id });
+    
+    if (run.summary) {
+      run.summary.knownFlaky = knownFlaky.length;
+    }
+    
+    if (knownFlaky.length && run.outputPath) {
+      await runTestsUtils.updateRunSummary(run.id, { summary: run.summary, results: run.results });
+    }
+  } catch (error) {
+    logger.error(`Failed to tag known flaky tests of run ${run.id}`, error);
+  }
+}
+
+/**
+ * Executes a run and records its outcome on the run record
+ * @param {Object} run - Run record
+ * @returns {Promise<void>}
+ */
+async function executeRun(run) {
+  // The run may have been cancelled while it was waiting
+  if (run.status !== config.STATUSES.QUEUED) {
+    return;
+  }
+  
+  run.status = config.STATUSES.RUNNING;
+  run.startedAt = new Date().toISOString();
+  logger.info(`Test run ${run.id} started: ${run.target}`);
+  pushRunEvent(run, { type: "status", status: run.status });
+  
+  // Shards also stream to their sharded run, which starts with its first shard
+  const parent = run.shard ? getRun(run.parentRunId) : null;
+  if (parent && parent.status === config.STATUSES.QUEUED) {
+    parent.status = config.STATUSES.RUNNING;
+    parent.startedAt = run.startedAt;
+    pushRunEvent(parent, { type: "status", status: parent.status });
+  }
+  
+  const pushEvent = (event) => {
+    pushRunEvent(run, event);
+    if (parent) {
+      pushRunEvent(parent, { ...event, shard: run.shard.index });
+    }
+  };
+  
+  // Per-test results as they stream in, kept in case the run is cut short
+  const streamedResults = [];
+
+  try {
+    // Every run writes its reports and artifacts to its own directory
+    const outputDir = runTestsUtils.getRunOutputDir(run.id);
+    await fs.mkdir(outputDir, { recursive: true });
+    run.outputPath = pathUtils.getRelativePath(outputDir);
+    
+    // Profile secrets are decrypted only for the run itself and never stored on it
+    const environment = await envProfileUtils.resolveRunEnvironment(run.options.envProfile, run.options.envOverrides);
+    if (environment.error) {
+      throw new Error(environment.error);
+    }
+    
+    // Cancelled while preparing, before there was a process to stop
+    if (run.cancelRequested) {
+      return;
+    }
+    
+    const testResults = await runTestsUtils.runPlaywrightTests(run.target, {
+      ...run.options,
+      env: environment.variables,
+      secrets: environment.secretValues,
+      runId: run.id,
+      outputDir,
+      onSpawn: (child) => {
+        runRegistry.processes.set(run.id, child);
+        
+        // Cancelled between the check above and the spawn
+        if (run.cancelRequested) {
+          runTestsUtils.killProcessTree(child);
+        }
+      },
+      onOutput: (line, stream) => pushEvent({ type: "output", stream, line }),
+      onTestResult: (event) => {
+        if (event.type === "result") {
+          const { type, ...result } = event;
+          streamedResults.push(result);
+        }
+        pushEvent(event);
+      }
+    });
+
+    run.status = testResults.success ? config.STATUSES.PASSED : config.STATUSES.FAILED;
+    run.exitCode = testResults.exitCode;
+    run.results = testResults.simpleResults || (streamedResults.length ? streamedResults : null);
+    run.summary = testResults.summary || (run.results ? runTestsUtils.calculateTestSummary(run.results) : null);
+    run.quarantined = testResults.quarantined || null;
+    run.fullReport = testResults.fullReport || null;
+    run.error = testResults.error || null;
+
+    if (testResults.reportPath) {
+      run.reportPath = testResults.reportPath;
+      run.reportUrl = `/reports/runs/${run.id}/`;
+    }
+
+    // Shards are tagged once their results are merged
+    if (!run.shard) {
+      await tagKnownFlakyResults(run);
+    }
+  } catch (error) {
+    // runPlaywrightTests rejects with plain objects as well as Errors
+    run.status = config.STATUSES.ERROR;
+    run.error = error.message || error.error || "Playwright test execution failed";
+    run.errorDetails = error.details || null;
+  } finally {
+    runRegistry.processes.delete(run.id);
+    
+    if (run.cancelRequested) {
+      run.status = config.STATUSES.CANCELLED;
+    }
+    
+    run.finishedAt = new Date().toISOString();
+    run.duration = new Date(run.finishedAt) - new Date(run.startedAt);
+    logger.info(`Test run ${run.id} finished with status ${run.status} in ${run.duration}ms`);
+    await finishRun(run);
+    
+    runTestsUtils.pruneHtmlReports()
+      .catch(error => logger.error("Failed to prune old HTML reports", error));
+  }
+}
+
+/**
+ * Starts queued runs while there are free slots
+ */
+function processQueue() {
+  while (runQueue.activeCount < config.MAX_CONCURRENT_RUNS && runQueue.pending.length > 0) {
+    const entry = runQueue.pending.shift();
+    const run = getRun(entry.runId);
+    
+    // Skip runs that were cancelled or evicted while waiting
+    if (!run || run.status !== config.STATUSES.QUEUED) {
+      continue;
+    }
+    
+    runQueue.activeCount++;
+    executeRun(run)
+      .catch(error => logger.error(`Test run ${run.id} crashed`, error))
+      .finally(() => {
+        runQueue.activeCount--;
+        processQueue();
+      });
+  }
+}
+
+/**
+ * Adds a run to the queue
+ * @param {Object} run - Run record
+ */
+function enqueueRun(run) {
+  runQueue.pending.push({
+    runId: run.id,
+    priority: run.priority,
+    sequence: ++runQueue.sequence
+  });
+  
+  runQueue.pending.sort((a, b) => (b.priority - a.priority) || (a.sequence - b.sequence));
+}
+
+/**
+ * Gets the position of a queued run (1 = next to start)
+ * @param {string} id - Run ID
+ * @returns {number|null} - Queue position or null if the run is not waiting
+ */
+function getQueuePosition(id) {
+  const index = runQueue.pending.findIndex(entry => entry.runId === id);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Gets the current state of the run queue
+ * @returns {Object} - Queue statistics
+ */
+function getQueueStats() {
+  return {
+    maxConcurrentRuns: config.MAX_CONCURRENT_RUNS,
+    running: runQueue.activeCount,
+    queued: runQueue.pending.length
+  };
+}
+
+/**
+ * Creates a test run and queues it for execution
+ * @param {Object} params - Run parameters
+ * @param {string} params.type - Run type (spec, upload, all, rerun-failed or shard)
+ * @param {string} params.target - Full path of the spec file or directory to run
+ * @param {string} params.testFile - Spec file as requested by the client
+ * @param {string} params.category - Category the tests live in
+ * @param {string} params.testPattern - Test file pattern (for directory runs)
+ * @param {Object} params.options - Options passed to runPlaywrightTests
+ * @param {number} params.priority - Queue priority; higher runs start first (default: 0)
+ * @param {string} params.label - Free-form label such as a commit SHA or branch name
+ * @param {string} params.triggeredBy - Who or what triggered the run
+ * @param {string} params.parentRunId - Run this run was derived from (e.g. re-run of its failures)
+ * @param {string} params.scheduleId - Schedule that created the run
+ * @param {number} params.shards - Split the run into this many shards, queued as separate runs
+ * @param {Object} params.shard - Position of a shard run within its sharded run ({ index, total })
+ * @param {Object} params.workspace - Upload workspace the run executes in ({ id, path, keep, specFiles, fixtureFiles })
+ * @returns {Object} - The created run record
+ */
+function createRun(params) {
+  const run = {
+    id: generateRunId(),
+    type: params.type,
+    status: config.STATUSES.QUEUED,
+    target: params.target,
+    testFile: params.testFile || null,
+    category: params.category || null,
+    testPattern: params.testPattern || null,
+    options: params.options || {},
+    priority: Number.isFinite(params.priority) ? params.priority : config.DEFAULT_PRIORITY,
+    label: params.label || null,
+    triggeredBy: params.triggeredBy || null,
+    parentRunId: params.parentRunId || null,
+    scheduleId: params.scheduleId || null,
+    shard: params.shard || null,
+    shards: null,
+    workspace: params.workspace || null,
+    outputPath: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    duration: null,
+    exitCode: null,
+    summary: null,
+    results: null,
+    quarantined: null,
+    failureClusters: null,
+    fullReport: null,
+    reportPath: null,
+    reportUrl: null,
+    error: null
+  };
+
+  runRegistry.runs.set(run.id, run);
+  evictOldRuns();
+  pushRunEvent(run, { type: "status", status: run.status });
+  
+  if (params.shards > 1) {
+    // The sharded run itself never takes a queue slot; its shards do
+    const { shards, ...shardParams } = params;
+    run.shards = [];
+    
+    for (let index = 1; index <= shards; index++) {
+      const shardRun = createRun({
+        ...shardParams,
+        type: "shard",
+        options: { ...params.options, shard: `${index}/${shards}` },
+        parentRunId: run.id,
+        shard: { index, total: shards }
+      });
+      run.shards.push({ runId: shardRun.id, index, status: shardRun.status, exitCode: null });
+    }
+    
+    logger.info(`Test run ${run.id} split into ${shards} shards: ${run.target}`);
+    return run;
+  }
+  
+  enqueueRun(run);
+
+  // Start on the next tick so the caller can respond before the process spawns
+  setImmediate(processQueue);
+
+  logger.info(`Test run ${run.id} queued with priority ${run.priority}: ${run.target}`);
+  return run;
+}
+
+/**
+ * Queues a run of only the tests that failed in a finished run
+ * @param {string} parentId - ID of the run whose failures to re-run
+ * @param {Object} params - Run parameters
+ * @param {number} params.priority - Queue priority (default: 0)
+ * @param {string} params.label - Label for the new run (default: the parent's label)
+ * @param {string} params.triggeredBy - Who or what triggered the run
+ * @returns {Promise<Object>} - The new run and the tests it re-runs, or error with HTTP code
+ */
+async function rerunFailed(parentId, params = {}) {
+  const parent = getRun(parentId);
+  let source;
+
+  if (parent) {
+    if (!isFinished(parent)) {
+      return { error: `Test run ${parentId} has not finished yet`, code: 409 };
+    }
+
+    source = { results: parent.results, options: parent.options, category: parent.category, label: parent.label, workspace: parent.workspace };
+  } else {
+    // Runs no longer held in memory keep their results in their output directory
+    const entry = await historyUtils.getHistoryEntry(parentId);
+    if (!entry) {
+      return { error: `Test run not found: ${parentId}`, code: 404 };
+    }
+
+    const saved = await runTestsUtils.getRunSummary(parentId);
+    source = {
+      results: saved ? saved.results : null,
+      options: entry.projects && entry.projects.length ? { projects: entry.projects } : {},
+      category: entry.category,
+      label: entry.label
+    };
+  }
+
+  // Only the final attempt counts, so tests that passed on retry are not re-run.
+  // Uploaded specs can only re-run while their workspace is kept.
+  const testRoot = source.options && source.options.testDir
+    ? source.options.testDir
+    : pathUtils.getSafeCategoryPath(properties.CATEGORIES.PLAYWRIGHT);
+  const failedTests = new Map();
+
+  runTestsUtils.getFinalResults(source.results).forEach(result => {
+    if (["failed", "timedOut"].includes(result.status)) {
+      const { file, suite, title, project } = result;
+      failedTests.set(runTestsUtils.getTestKey(result), { file, suite, title, project: project || null });
+    }
+  });
+
+  if (failedTests.size === 0) {
+    return { error: `Test run ${parentId} has no failed tests to re-run`, code: 400 };
+  }
+
+  const tests = [];
+  for (const test of failedTests.values()) {
+    if (await fileUtils.fileExists(path.join(testRoot, test.file))) {
+      tests.push(test);
+    }
+  }
+
+  if (tests.length === 0) {
+    return { error: "The spec files of the failed tests no longer exist", code: 404 };
+  }
+
+  const testFiles = [...new Set(tests.map(test => test.file))];
+  const { testName, selection, ...options } = source.options || {};
+  
+  // Only the browsers the tests failed in run again
+  const projects = [...new Set(tests.map(test => test.project).filter(Boolean))];
+  if (projects.length) {
+    options.projects = projects;
+  }
+
+  const run = createRun({
+    type: "rerun-failed",
+    target: testRoot,
+    testFile: testFiles.join(", "),
+    category: source.category,
+    options: {
+      ...options,
+      testFiles,
+      grep: runTestsUtils.buildTestGrepPattern(tests)
+    },
+    priority: params.priority,
+    label: params.label || source.label,
+    triggeredBy: params.triggeredBy,
+    parentRunId: parentId,
+    workspace: source.workspace
+  });
+
+  return { run, tests };
+}
+
+/**
+ * Gets a run record by ID
+ * @param {string} id - Run ID
+ * @returns {Object|null} - Run record or null if not found
+ */
+function getRun(id) {
+  return runRegistry.runs.get(id) || null;
+}
+
+/**
+ * Cancels a queued or running test run.
+ * Running runs have their Playwright process tree stopped; output and results
+ * produced so far are kept on the run.
+ * @param {string} id - Run ID
+ * @returns {Object} - Cancelled run or error with HTTP code
+ */
+function cancelRun(id) {
+  const run = getRun(id);
+  
+  if (!run) {
+    return { error: `Test run not found: ${id}`, code: 404 };
+  }
+  
+  if (isFinished(run)) {
+    return { error: `Test run already finished with status: ${run.status}`, code: 409 };
+  }
+  
+  run.cancelRequested = true;
+  
+  if (run.shards) {
+    // The sharded run finishes as cancelled once its shards have stopped
+    run.shards
+      .filter(shard => !isFinished(shard))
+      .forEach(shard => cancelRun(shard.runId));
+  } else if (run.status === config.STATUSES.QUEUED) {
+    // Never started, so there is nothing to stop
+    runQueue.pending = runQueue.pending.filter(entry => entry.runId !== run.id);
+    run.status = config.STATUSES.CANCELLED;
+    run.finishedAt = new Date().toISOString();
+    finishRun(run)
+      .catch(error => logger.error(`Failed to finish cancelled test run ${run.id}`, error));
+  } else {
+    runTestsUtils.killProcessTree(runRegistry.processes.get(run.id));
+  }
+  
+  logger.info(`Test run ${run.id} cancellation requested`);
+  return { success: true, run };
+}
+
+/**
+ * Subscribes to the stream events of a run.
+ * Buffered events are replayed to the callback before live events arrive.
+ * @param {string} id - Run ID
+ * @param {Function} callback - Function to call with each event
+ * @returns {Function|null} - Function to remove the listener, or null if the run is unknown
+ */
+function subscribeToRun(id, callback) {
+  if (typeof callback !== 'function') {
+    throw new Error('Listener must be a function');
+  }
+  
+  if (!runRegistry.runs.has(id)) {
+    return null;
+  }
+  
+  // Replay what has happened so far
+  (runRegistry.events.get(id) || []).forEach(event => callback(event));
+  
+  const listeners = runRegistry.listeners.get(id) || [];
+  listeners.push(callback);
+  runRegistry.listeners.set(id, listeners);
+  
+  // Return a function to remove this listener
+  return () => {
+    const index = listeners.indexOf(callback);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Lists runs, newest first
+ * @param {Object} options - Filter options
+ * @param {string} options.status - Only include runs with this status
+ * @param {number} options.limit - Maximum number of runs to return
+ * @returns {Array} - Run records
+ */
+function listRuns(options = {}) {
+  let runs = Array.from(runRegistry.runs.values()).reverse();
+
+  if (options.status) {
+    runs = runs.filter(run => run.status === options.status);
+  }
+
+  if (options.limit && options.limit > 0) {
+    runs = runs.slice(0, options.limit);
+  }
+
+  return runs;
+}
+
+/**
+ * Builds the public representation of a run
+ * @param {Object} run - Run record
+ * @param {Object} options - View options
+ * @param {boolean} options.includeResults - Include the simplified test results
+ * @param {boolean} options.includeFullReport - Include the full Playwright report
+ * @returns {Object} - Run view
+ */
+function toRunView(run, options = {}) {
+  const { target, fullReport, results, cancelRequested, ...view } = run;
+
+  return {
+    ...view,
+    statusUrl: `/api/tests/runs/${run.id}`,
+    queuePosition: run.status === config.STATUSES.QUEUED ? getQueuePosition(run.id) : undefined,
+    results: options.includeResults ? results : undefined,
+    fullReport: options.includeFullReport ? fullReport : undefined
+  };
+}
+
+module.exports = {
+  createRun,
+  rerunFailed,
+  getRun,
+  listRuns,
+  subscribeToRun,
+  cancelRun,
+  getQueuePosition,
+  getQueueStats,
+  toRunView,
+  parsePriority,
+  removeWorkspace,
+  isFinished,
+  config
+};
@@ -0,0 +1,501 @@
+const crypto = require("crypto");
+const runTestsUtils = require("./runTestsUtils");
+const fileUtils = require("./fileUtils");
+const properties = require("./properties");
+const logger = require("./logUtils");
+
+/**
+ * Configuration for the webhooks notified when runs finish
+ */
+const config = {
+  WEBHOOK_CATEGORY: properties.CATEGORIES.REPORTS,
+  WEBHOOK_FILE: "webhooks.json",
+  DELIVERY_FILE: "webhook-deliveries.json",
+  MAX_DELIVERIES: 500, // Oldest deliveries are dropped from the log beyond this
+  PUBLIC_URL: properties.PUBLIC_URL,
+  TIMEOUT: properties.WEBHOOK_TIMEOUT,
+  MAX_ATTEMPTS: properties.WEBHOOK_MAX_ATTEMPTS,
+  RETRY_DELAY: properties.WEBHOOK_RETRY_DELAY,
+  MAX_FAILED_TESTS: 50, // Failed tests listed in a payload
+  MAX_ERROR_LENGTH: 500,
+  MAX_NAME_LENGTH: 100,
+  FAILURE_STATUSES: ["failed", "error"],
+  // Fields of a webhook definition that can be set and updated
+  DEFINITION_FIELDS: ["name", "url", "onlyOnFailure", "categories", "enabled"],
+  DELIVERY_STATUSES: {
+    PENDING: "pending",
+    DELIVERED: "delivered",
+    FAILED: "failed"
+  }
+};
+
+// In-memory copies of the webhook and delivery files, loaded on first use
+const webhookStore = fileUtils.createJsonStore({
+  category: config.WEBHOOK_CATEGORY,
+  fileName: config.WEBHOOK_FILE,
+  key: "webhooks",
+  description: "webhooks"
+});
+
+const deliveryStore = fileUtils.createJsonStore({
+  category: config.WEBHOOK_CATEGORY,
+  fileName: config.DELIVERY_FILE,
+  key: "deliveries",
+  description: "the webhook delivery log",
+  upgrade: deliveries => deliveries.map(markInterrupted)
+});
+
+/**
+ * Marks a delivery still pending when the server stopped as failed
+ * @param {Object} delivery - Stored delivery
+ * @returns {Object} - The delivery
+ */
+function markInterrupted(delivery) {
+  if (delivery.status === config.DELIVERY_STATUSES.PENDING) {
+    delivery.status = config.DELIVERY_STATUSES.FAILED;
+    delivery.error = "Interrupted by a server restart";
+    delivery.nextAttemptAt = null;
+  }
+
+  return delivery;
+}
+
+/**
+ * Loads the webhooks and the delivery log into memory (once)
+ * @returns {Promise<Object>} - { webhooks, deliveries }
+ */
+async function loadStore() {
+  const [webhooks, deliveries] = await Promise.all([webhookStore.load(), deliveryStore.load()]);
+  return { webhooks, deliveries };
+}
+
+/**
+ * Writes the in-memory webhooks and delivery log to disk
+ * @returns {Promise<void>}
+ */
+async function persistStore() {
+  await Promise.all([webhookStore.persist(), deliveryStore.persist()]);
+}
+
+/**
+ * Validates a webhook definition and normalizes its fields
+ * @param {Object} params - Webhook definition (see createWebhook)
+ * @returns {Object} - { definition }, or error with HTTP code
+ */
+function validateDefinition(params) {
+  if (!params.name || typeof params.name !== "string" || params.name.length > config.MAX_NAME_LENGTH) {
+    return { error: `A 'name' of at most ${config.MAX_NAME_LENGTH} characters is required`, code: 400 };
+  }
+
+  let url;
+  try {
+    url = new URL(params.url);
+  } catch (error) {
+    return { error: `Invalid webhook URL: ${params.url}`, code: 400 };
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return { error: "Webhook URLs must use http or https", code: 400 };
+  }
+
+  let categories = params.categories;
+  if (typeof categories === "string") {
+    categories = categories.split(",").map(category => category.trim()).filter(Boolean);
+  }
+
+  if (categories !== undefined && categories !== null &&
+      (!Array.isArray(categories) || categories.some(category => typeof category !== "string" || !category))) {
+    return { error: "'categories' must be a list of category names", code: 400 };
+  }
+
+  return {
+    definition: {
+      name: params.name.trim(),
+      url: url.toString(),
+      onlyOnFailure: String(params.onlyOnFailure) === "true",
+      categories: categories && categories.length ? categories : null,
+      enabled: params.enabled === undefined ? true : String(params.enabled) === "true"
+    }
+  };
+}
+
+/**
+ * Builds the client view of a webhook
+ * @param {Object} webhook - Stored webhook
+ * @returns {Object} - Webhook with a link to its delivery log
+ */
+function toWebhookView(webhook) {
+  return {
+    ...webhook,
+    deliveriesUrl: `/api/webhooks/${webhook.id}/deliveries`
+  };
+}
+
+/**
+ * Lists the webhooks
+ * @returns {Promise<Array>} - Webhooks
+ */
+async function listWebhooks() {
+  const { webhooks } = await loadStore();
+  return webhooks.map(toWebhookView);
+}
+
+/**
+ * Gets a webhook
+ * @param {string} id - Webhook ID
+ * @returns {Promise<Object>} - Webhook, or error with HTTP code
+ */
+async function getWebhook(id) {
+  const { webhooks } = await loadStore();
+  const webhook = webhooks.find(entry => entry.id === id);
+
+  if (!webhook) {
+    return { error: `Webhook not found: ${id}`, code: 404 };
+  }
+
+  return { webhook: toWebhookView(webhook) };
+}
+
+/**
+ * Creates a webhook
+ * @param {Object} params - Webhook definition
+ * @param {string} params.name - Display name
+ * @param {string} params.url - URL the payload is POSTed to (http or https)
+ * @param {boolean} params.onlyOnFailure - Only notify for failed and errored runs (default: false)
+ * @param {Array<string>|string} params.categories - Only notify for runs of these categories (default: all)
+ * @param {boolean} params.enabled - Whether the webhook is notified (default: true)
+ * @param {string} createdBy - Who created the webhook
+ * @returns {Promise<Object>} - Created webhook, or error with HTTP code
+ */
+async function createWebhook(params = {}, createdBy = null) {
+  const validated = validateDefinition(params);
+  if (validated.error) {
+    return validated;
+  }
+
+  const { webhooks } = await loadStore();
+  const webhook = {
+    id: crypto.randomUUID(),
+    ...validated.definition,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    updatedAt: null
+  };
+
+  webhooks.push(webhook);
+  await persistStore();
+
+  logger.info(`Webhook "${webhook.name}" created for ${webhook.url}`);
+  return { webhook: toWebhookView(webhook) };
+}
+
+/**
+ * Updates a webhook; fields that are not given keep their value
+ * @param {string} id - Webhook ID
+ * @param {Object} params - Fields to change (see createWebhook)
+ * @returns {Promise<Object>} - Updated webhook, or error with HTTP code
+ */
+async function updateWebhook(id, params = {}) {
+  const { webhooks } = await loadStore();
+  const webhook = webhooks.find(entry => entry.id === id);
+
+  if (!webhook) {
+    return { error: `Webhook not found: ${id}`, code: 404 };
+  }
+
+  const current = Object.fromEntries(config.DEFINITION_FIELDS.map(field => [field, webhook[field]]));
+  const changes = Object.fromEntries(config.DEFINITION_FIELDS
+    .filter(field => params[field] !== undefined)
+    .map(field => [field, params[field]]));
+
+  const validated = validateDefinition({ ...current, ...changes });
+  if (validated.error) {
+    return validated;
+  }
+
+  Object.assign(webhook, validated.definition, { updatedAt: new Date().toISOString() });
+  await persistStore();
+
+  logger.info(`Webhook "${webhook.name}" updated`);
+  return { webhook: toWebhookView(webhook) };
+}
+
+/**
+ * Deletes a webhook; its deliveries stay in the log and pending retries are dropped
+ * @param {string} id - Webhook ID
+ * @returns {Promise<Object>} - Deleted webhook, or error with HTTP code
+ */
+async function deleteWebhook(id) {
+  const { webhooks } = await loadStore();
+  const index = webhooks.findIndex(entry => entry.id === id);
+
+  if (index === -1) {
+    return { error: `Webhook not found: ${id}`, code: 404 };
+  }
+
+  const [webhook] = webhooks.splice(index, 1);
+  await persistStore();
+
+  logger.info(`Webhook "${webhook.name}" deleted`);
+  return { webhook };
+}
+
+/**
+ * Lists logged deliveries, newest first
+ * @param {Object} options - Filters
+ * @param {string} options.webhookId - Only deliveries to this webhook
+ * @param {string} options.runId - Only deliveries about this run
+ * @param {string} options.status - Only deliveries with this status (pending, delivered or failed)
+ * @param {number} options.limit - Maximum number of deliveries (default: 50)
+ * @returns {Promise<Array>} - Deliveries
+ */
+async function listDeliveries(options = {}) {
+  const { deliveries } = await loadStore();
+  const limit = Math.min(parseInt(options.limit, 10) || 50, config.MAX_DELIVERIES);
+
+  return deliveries
+    .filter(delivery => !options.webhookId || delivery.webhookId === options.webhookId)
+    .filter(delivery => !options.runId || delivery.runId === options.runId)
+    .filter(delivery => !options.status || delivery.status === options.status)
+    .slice(-limit)
+    .reverse();
+}
+
+/**
+ * Makes a server path absolute, so receivers can follow it
+ * @param {string|null} urlPath - Server path such as /reports/runs/:id/
+ * @returns {string|null} - Absolute URL
+ */
+function toPublicUrl(urlPath) {
+  return urlPath ? `${config.PUBLIC_URL}${urlPath}` : null;
+}
+
+/**
+ * Builds the payload sent for a finished run
+ * @param {Object} run - Finished run record
+ * @returns {Object} - Webhook payload
+ */
+function buildRunPayload(run) {
+  const finalResults = Array.from(runTestsUtils.getFinalResults(run.results).values());
+  const failedTests = finalResults
+    .filter(result => result.status === "failed" || result.status === "timedOut")
+    .map(result => ({
+      title: result.title,
+      suite: result.suite,
+      file: result.file,
+      project: result.project,
+      status: result.status,
+      error: runTestsUtils.getErrorMessage(result, config.MAX_ERROR_LENGTH)
+    }));
+
+  return {
+    event: "run.finished",
+    run: {
+      id: run.id,
+      type: run.type,
+      status: run.status,
+      category: run.category,
+      testFile: run.testFile,
+      label: run.label,
+      triggeredBy: run.triggeredBy,
+      parentRunId: run.parentRunId,
+      scheduleId: run.scheduleId,
+      createdAt: run.createdAt,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      duration: run.duration,
+      exitCode: run.exitCode,
+      error: run.error
+    },
+    summary: run.summary || runTestsUtils.calculateTestSummary(run.results || []),
+    failedTests: failedTests.slice(0, config.MAX_FAILED_TESTS),
+    failedTestCount: failedTests.length,
+    urls: {
+      run: toPublicUrl(`/api/tests/runs/${run.id}`),
+      report: toPublicUrl(run.reportUrl),
+      artifacts: run.outputPath ? toPublicUrl(`/api/tests/runs/${run.id}/artifacts`) : null
+    }
+  };
+}
+
+/**
+ * Checks whether a webhook wants to hear about a run
+ * @param {Object} webhook - Webhook
+ * @param {Object} run - Finished run record
+ * @returns {boolean} - Whether the webhook is notified
+ */
+function matchesWebhook(webhook, run) {
+  if (!webhook.enabled) {
+    return false;
+  }
+
+  if (webhook.onlyOnFailure && !config.FAILURE_STATUSES.includes(run.status)) {
+    return false;
+  }
+
+  return !webhook.categories || webhook.categories.includes(run.category);
+}
+
+/**
+ * Makes one delivery attempt and schedules a retry with exponential backoff if it fails
+ * @param {Object} delivery - Logged delivery (updated in place)
+ * @param {Object} payload - Payload to send
+ * @returns {Promise<void>}
+ */
+async function attemptDelivery(delivery, payload) {
+  const attempt = {
+    number: delivery.attempts.length + 1,
+    startedAt: new Date().toISOString(),
+    statusCode: null,
+    error: null,
+    duration: null
+  };
+  const start = Date.now();
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "playwright-automation-server",
+        "X-Webhook-Event": payload.event,
+        "X-Webhook-Delivery": delivery.id
+      },
+      body: JSON.stringify({ ...payload, deliveryId: delivery.id, webhookId: delivery.webhookId }),
+      signal: AbortSignal.timeout(config.TIMEOUT)
+    });
+
+    attempt.statusCode = response.status;
+    if (!response.ok) {
+      attempt.error = `Receiver responded with HTTP ${response.status}`;
+    }
+
+    // Drain the body so the connection is released
+    await response.arrayBuffer().catch(() => {});
+  } catch (error) {
+    attempt.error = error.name === "TimeoutError"
+      ? `No response within ${config.TIMEOUT}ms`
+      : (error.cause && error.cause.message) || error.message;
+  }
+
+  attempt.duration = Date.now() - start;
+  delivery.attempts.push(attempt);
+  delivery.statusCode = attempt.statusCode;
+  delivery.error = attempt.error;
+
+  // A deleted webhook gets no further retries
+  const webhookExists = (await webhookStore.load()).some(webhook => webhook.id === delivery.webhookId);
+
+  if (!attempt.error) {
+    delivery.status = config.DELIVERY_STATUSES.DELIVERED;
+    delivery.nextAttemptAt = null;
+    delivery.completedAt = new Date().toISOString();
+    logger.info(`Webhook delivery ${delivery.id} to ${delivery.url} succeeded (HTTP ${attempt.statusCode})`);
+  } else if (attempt.number < config.MAX_ATTEMPTS && webhookExists) {
+    const delay = config.RETRY_DELAY * 2 ** (attempt.number - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    logger.warning(`Webhook delivery ${delivery.id} to ${delivery.url} failed (${attempt.error}), retrying in ${delay}ms`);
+
+    setTimeout(() => {
+      attemptDelivery(delivery, payload)
+        .catch(error => logger.error(`Webhook delivery ${delivery.id} failed`, error));
+    }, delay).unref();
+  } else {
+    delivery.status = config.DELIVERY_STATUSES.FAILED;
+    delivery.nextAttemptAt = null;
+    delivery.completedAt = new Date().toISOString();
+    logger.error(`Webhook delivery ${delivery.id} to ${delivery.url} failed after ${attempt.number} attempt(s): ${attempt.error}`);
+  }
+
+  await persistStore();
+}
+
+/**
+ * Logs a delivery and makes its first attempt
+ * @param {Object} webhook - Webhook to notify
+ * @param {Object} payload - Payload to send
+ * @param {string|null} runId - Run the payload is about
+ * @returns {Promise<Object>} - Delivery after its first attempt
+ */
+async function deliver(webhook, payload, runId) {
+  const { deliveries } = await loadStore();
+  const delivery = {
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    webhookName: webhook.name,
+    url: webhook.url,
+    event: payload.event,
+    runId,
+    status: config.DELIVERY_STATUSES.PENDING,
+    statusCode: null,
+    error: null,
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: null,
+    completedAt: null
+  };
+
+  deliveries.push(delivery);
+  if (deliveries.length > config.MAX_DELIVERIES) {
+    deliveries.splice(0, deliveries.length - config.MAX_DELIVERIES);
+  }
+
+  await attemptDelivery(delivery, payload);
+  return delivery;
+}
+
+/**
+ * Notifies the matching webhooks that a run finished.
+ * Shards are left out; their sharded run notifies once they are merged.
+ * @param {Object} run - Finished run record
+ * @returns {Promise<Array>} - Deliveries after their first attempt
+ */
+async function notifyRunFinished(run) {
+  if (run.shard) {
+    return [];
+  }
+
+  const { webhooks } = await loadStore();
+  const matching = webhooks.filter(webhook => matchesWebhook(webhook, run));
+  if (matching.length === 0) {
+    return [];
+  }
+
+  const payload = buildRunPayload(run);
+  return Promise.all(matching.map(webhook => deliver(webhook, payload, run.id)));
+}
+
+/**
+ * Sends a test payload to a webhook, regardless of its filters
+ * @param {string} id - Webhook ID
+ * @returns {Promise<Object>} - Delivery after its first attempt, or error with HTTP code
+ */
+async function sendTestDelivery(id) {
+  const { webhooks } = await loadStore();
+  const webhook = webhooks.find(entry => entry.id === id);
+
+  if (!webhook) {
+    return { error: `Webhook not found: ${id}`, code: 404 };
+  }
+
+  const payload = {
+    event: "ping",
+    message: `Test delivery for webhook "${webhook.name}"`,
+    sentAt: new Date().toISOString()
+  };
+
+  return { delivery: await deliver(webhook, payload, null) };
+}
+
+module.exports = {
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  notifyRunFinished,
+  sendTestDelivery,
+  buildRunPayload,
+  config
+};